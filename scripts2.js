@@ -4,14 +4,177 @@
 // GAME CONFIGURATION
 // ============================================================
 
-const PLAYFIELD_ROWS = 4; // How many rows the player can see and interact with
+// Difficulty presets (names are in UI_TEXT under difficulty.<key>):
+//   rows        - headline rows the player sees (2-4)
+//   maxLength   - longest headline allowed, in characters
+//   bufferRows  - hidden rows under the playfield that columns rotate through
+//   scrambleMin/scrambleMax - how many random moves shuffleBoard makes
+//   hintPoints  - hint budget for one game (see HINT_TIERS for the costs)
+//   dimPadding  - whether padding cells are dimmed (a big help when on)
+//   decoys      - how the padding letters are picked (see DECOY LETTERS):
+//                 'uniform', 'frequency', 'headline' or 'bigrams'
+const DIFFICULTY_PRESETS = {
+  helppo: { rows: 3, maxLength: 40, bufferRows: 1, scrambleMin: 8, scrambleMax: 15, hintPoints: 10, dimPadding: true, decoys: 'uniform' },
+  normaali: { rows: 4, maxLength: 60, bufferRows: 2, scrambleMin: 15, scrambleMax: 30, hintPoints: 8, dimPadding: true, decoys: 'frequency' },
+  vaikea: { rows: 4, maxLength: 60, bufferRows: 3, scrambleMin: 25, scrambleMax: 40, hintPoints: 5, dimPadding: false, decoys: 'headline' },
+  mestari: { rows: 4, maxLength: 80, bufferRows: 4, scrambleMin: 40, scrambleMax: 60, hintPoints: 3, dimPadding: false, decoys: 'bigrams' },
+};
+const DEFAULT_DIFFICULTY = 'normaali';
+
+// Hint tiers and their cost in hint points. "once" tiers reveal a fact
+// about the headline that stays on screen, so they can only be bought once.
+// Names are in UI_TEXT under hintTier.<key>.
+const HINT_TIERS = {
+  correctColumns: { cost: 1, once: false },
+  wordCount: { cost: 1, once: true },
+  section: { cost: 1, once: true },
+  firstLetters: { cost: 2, once: true },
+  solveColumn: { cost: 3, once: false },
+};
+
+// Correctness assist levels, weakest first. Each level also shows what the
+// ones before it show, and costs stars from the final rating when it was on
+// at any point during the game. Names are in UI_TEXT under assist.<key>.
+const ASSIST_MODES = {
+  off: { starPenalty: 0 },
+  columns: { starPenalty: 1 },
+  letters: { starPenalty: 2 },
+};
+const ASSIST_STORAGE_KEY = 'uutispeli.assist'; // The player's chosen assist level
+
+// CORS proxies tried in order for every feed. "{url}" is replaced with the
+// encoded feed URL, and 'direct' fetches the feed itself (same-origin feeds).
+// ?proxy= (repeatable) picks from this list, 'direct' or 'local' instead.
+// Other templates are not taken from the URL, so a link can't route the
+// feeds (and the headline cache) through a proxy of its own.
+const PROXY_TEMPLATES = [
+  "https://corsproxy.io/?{url}",
+  "https://api.allorigins.win/raw?url={url}",
+];
+const LOCAL_PROXY_TEMPLATE = "/proxy?url={url}"; // Served by tools/proxy-server.js
+const PROXY_TIMEOUT_MS = 8000; // Give up on a proxy request after this long
+const PROXY_RETRIES = 1; // Extra attempts per proxy before trying the next one
+
+// Line breaking (findRowSplits) scores each way of breaking a headline into
+// rows: the squared difference of every row from the average row length,
+// plus these costs, in the same units (9 is the cost of a row 3 characters off)
+const LINE_BREAK_HYPHEN_PENALTY = 16; // Breaking mid-word with a hyphen
+const LINE_BREAK_DOUBLE_HYPHEN_PENALTY = 16; // Extra cost when the row also starts mid-word
+const LINE_BREAK_PUNCTUATION_BONUS = 9; // Taken off a row that ends in LINE_BREAK_PUNCTUATION
+const LINE_BREAK_PUNCTUATION = ':,;.!?';
+
+// Board generation rejects scrambles that are solved in fewer arrow presses
+// than this, or where a column has several correct rotations
+const SOLVER_MIN_PAR = 6;
+const SOLVER_MAX_ATTEMPTS = 25; // After this many tries the best board so far is used
+
+// Where fetched headlines are cached, and the bundled pack used when
+// neither the network nor the cache has anything for a category
+const HEADLINE_CACHE_KEY = 'uutispeli.headlineCache';
+const BUNDLED_HEADLINES_URL = 'headlines.json';
+
+// Headline selection rules (see HEADLINE SELECTION). Titles that break
+// them are only played when a feed has nothing else.
+const HEADLINE_RULES = {
+  minLength: 15, // Characters, spaces included
+  minWords: 3, // Words with at least one letter
+  maxDigitShare: 0.25, // Largest share of digits among the letters and digits
+  punctuation: " -:,.!?%&'", // Allowed besides the headline language's letters and digits
+  rejectCutOff: true, // Titles ending in "..." were cut short by the feed
+};
+const PLAYED_HEADLINES_KEY = 'uutispeli.playedHeadlines'; // Solved headlines, not dealt again
+const PLAYED_HEADLINES_LIMIT = 500; // Older solved headlines may come round again
+const ARTICLE_DESCRIPTION_MAX = 300; // Feed descriptions are cut to this length (they are cached and saved)
+
+// Where the history of finished games is kept (see PERSISTENT STATISTICS)
+const STATS_STORAGE_KEY = 'uutispeli.stats';
+const STATS_VERSION = 1;
+
+// Where the game in progress is saved after every move. Bump the version
+// (and add a step to migrateSavedGame) whenever the saved format changes.
+const SAVED_GAME_KEY = 'uutispeli.savedGame';
+const SAVED_GAME_VERSION = 7;
+
+// Giving up turns the unsolved columns into place one at a time, this
+// many ms apart, before the headline is shown (see GIVING UP)
+const GIVE_UP_STEP_MS = 250;
+
+// Campaign mode plays a fixed list of headlines in order, getting harder
+// level by level. The built-in campaign is the newest CAMPAIGN_LENGTH
+// headlines of CAMPAIGN_CATEGORY; level packs (JSON files, see README)
+// bring their own headlines and skip the feed altogether.
+const CAMPAIGN_CATEGORY = 'tuoreimmat';
+const CAMPAIGN_LENGTH = 10;
+const CAMPAIGN_STORAGE_KEY = 'uutispeli.campaign';
+const PACK_CATEGORY = 'tasopaketti'; // Category recorded in the statistics for level pack games
+const PACK_URL_PARAM = 'pack'; // ?pack=packs/esimerkki.json starts a level pack on load
+
+// Time attack ("Aikahaaste"): solve as many headlines as possible before the
+// clock runs out, at the difficulty chosen in the dropdown (see TIME ATTACK)
+const TIME_ATTACK = {
+  startTime: 180000, // ms on the clock when a run starts
+  solveBonus: 5000, // ms added for every solved headline
+  fastSolveTime: 30000, // A board solved within this many ms also earns fastSolveBonus
+  fastSolveBonus: 10000,
+  hintPenalty: 3000, // ms taken off for every hint point spent
+  prefetchBelow: 5, // More headlines are fetched in the background when fewer are left
+};
+const TIME_ATTACK_SCORES_KEY = 'uutispeli.timeAttackScores';
+const TIME_ATTACK_SCORES_LIMIT = 10; // Best runs kept in the high-score table
+
+// Custom puzzles travel in a ?puzzle=<code> link (see CUSTOM PUZZLES).
+// PUZZLE_CODE_KEY scrambles the code so the answer isn't readable in it.
+const PUZZLE_URL_PARAM = 'puzzle';
+const PUZZLE_CODE_KEY = 'uutispeli-oma';
+const CUSTOM_CATEGORY = 'oma'; // Category recorded in the statistics for custom puzzles
+const CUSTOM_MAX_LENGTH = Math.max(...Object.values(DIFFICULTY_PRESETS).map(preset => preset.maxLength));
+
+// Interface languages with texts in UI_TEXT (see LANGUAGES & TRANSLATIONS),
+// named in their own language for the language dropdown. The first visit
+// follows the browser's language, after that the player's choice is kept.
+const LANGUAGE_NAMES = { fi: 'Suomi', sv: 'Svenska', en: 'English' };
+const DEFAULT_LANGUAGE = 'fi';
+const LANGUAGE_STORAGE_KEY = 'uutispeli.language';
+
+// Letters the empty cells of the board are filled with, by headline language
+const LANGUAGE_ALPHABETS = {
+  fi: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ',
+  sv: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ',
+  en: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+};
+
+// How common each letter is in news text, in percent, by headline language.
+// The 'frequency' decoys are drawn with these weights.
+const LETTER_FREQUENCIES = {
+  fi: {
+    A: 12.2, I: 10.8, T: 8.8, N: 8.8, E: 8.0, S: 7.9, L: 5.8, O: 5.6, K: 5.2, U: 5.1,
+    Ä: 3.6, M: 3.3, R: 2.9, V: 2.5, J: 2.0, H: 1.9, Y: 1.9, P: 1.8, D: 1.0, Ö: 0.4,
+    G: 0.4, B: 0.3, C: 0.3, F: 0.2, W: 0.1, Z: 0.05, X: 0.03, Å: 0.01, Q: 0.01,
+  },
+  sv: {
+    E: 10.1, A: 9.4, N: 8.5, R: 8.4, T: 7.7, S: 6.6, I: 5.8, L: 5.3, D: 4.7, O: 4.5,
+    M: 3.5, K: 3.1, G: 2.9, V: 2.4, H: 2.1, F: 2.0, U: 1.9, P: 1.8, Ä: 1.8, B: 1.5,
+    C: 1.5, Å: 1.3, Ö: 1.3, Y: 0.7, J: 0.6, X: 0.2, W: 0.1, Z: 0.1, Q: 0.02,
+  },
+  en: {
+    E: 12.7, T: 9.1, A: 8.2, O: 7.5, I: 7.0, N: 6.7, S: 6.3, H: 6.1, R: 6.0, D: 4.3,
+    L: 4.0, C: 2.8, U: 2.8, M: 2.4, W: 2.4, F: 2.2, G: 2.0, Y: 2.0, P: 1.9, B: 1.5,
+    V: 1.0, K: 0.8, J: 0.15, X: 0.15, Q: 0.1, Z: 0.07,
+  },
+};
 
-// HS.fi RSS feed sources - Finnish news categories
-const RSS_FEEDS = {
-  tuoreimmat: "https://www.hs.fi/rss/tuoreimmat.xml",
-  talous: "https://www.hs.fi/rss/talous.xml",
-  urheilu: "https://www.hs.fi/rss/urheilu.xml",
+// Common letter pairs by headline language, used by the 'bigrams' decoys
+// together with the pairs found in the headline itself
+const COMMON_BIGRAMS = {
+  fi: ['AN', 'EN', 'IN', 'TA', 'ST', 'KA', 'LL', 'SI', 'IS', 'TT', 'NE', 'AL', 'JA', 'IT', 'SA', 'KS', 'AI', 'TE', 'UU', 'LA'],
+  sv: ['EN', 'ER', 'AR', 'ST', 'TT', 'DE', 'AN', 'ET', 'OR', 'IN', 'NG', 'TI', 'TE', 'KA', 'LL', 'SK', 'RA', 'ÄR', 'ÖR', 'ND'],
+  en: ['TH', 'HE', 'IN', 'ER', 'AN', 'RE', 'ON', 'AT', 'EN', 'ND', 'TI', 'ES', 'OR', 'TE', 'OF', 'ED', 'IS', 'IT', 'AL', 'AR'],
 };
+const DECOY_BIGRAM_CHANCE = 0.6; // How often a decoy after a letter continues a known pair
+const DECOY_HEADLINE_BLEND = 0.25; // Share of language frequencies mixed into 'headline' decoys
+
+// URL parameter that forces a specific seed (e.g. ?seed=abc123) for debugging
+const SEED_URL_PARAM = 'seed';
 
 
 // ============================================================
@@ -19,669 +182,4936 @@ const RSS_FEEDS = {
 // ============================================================
 
 let grid = []; // The main game grid (includes hidden rows for shuffling)
+let currentDifficulty = DEFAULT_DIFFICULTY; // Key of the preset used for the current game
+let playfieldRows = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].rows; // How many rows the player can see and interact with
 let originalAsteriskPositions = []; // Tracks which cells started as padding (*)
 let originalContent = []; // Stores the correct letter for each cell
 let currentArticleLink = ''; // Stores the link to the current article
-let hintsRemaining = 3; // Number of hints the player has left
+let currentHeadline = ''; // The headline being solved (never shown before a win)
+let currentSection = ''; // Article section from the feed, if it has one
+let currentArticleDetails = { description: '', published: '', image: '' }; // Rest of the feed item, shown after giving up
+let currentCategory = ''; // Feed category the headline came from
+let selectedCategory = ''; // Category chosen in the dropdown for this game ('all' or a feed)
+let hintsRemaining = 3; // Hint points the player has left
 let lastHintedColumn = -1; // Track which column was last hinted for visualization
 let lockedColumns = []; // Track which columns are locked (have been hinted)
+let revealedCorrectColumns = []; // Columns briefly highlighted by the "correct columns" hint
+let revealedHints = {}; // Text of the one-time hints bought this game, by tier
+let assistMode = 'off'; // Correctness assist level chosen in the dropdown
+let assistUsed = 'off'; // Strongest assist level that was on during this game
+let focusedColumn = 0; // Column the keyboard cursor is on
+let activeDrag = null; // Column drag in progress: { col, startY, rowHeight, steps }
+let gridCells = []; // The <td> of every visible cell, kept between renders
+let random = Math.random; // Random source for building the board (seeded in daily mode)
+let currentSeed = ''; // Seed of the current board, empty for a normal random game
+let urlSeedUsed = false; // The URL seed only applies to the first game
+let campaign = null; // Campaign in progress or finished (see CAMPAIGN & LEVEL PACKS)
+let campaignLevel = -1; // Index of the campaign level on the board, -1 in a normal game
+let timeAttack = null; // Time attack run in progress (see TIME ATTACK)
+let timeAttackResult = null; // Last finished run, shown in the time attack panel: { score, place, solved }
+let creatorSplits = []; // Row breaks in the puzzle creator preview: [{ index, isMidWord }]
+let uiLanguage = DEFAULT_LANGUAGE; // Language of the interface texts
+let headlineLanguage = DEFAULT_LANGUAGE; // Language of the headline on the board (letters, hyphenation)
+let headlineSource = null; // Where the current headline came from: { source, savedAt }
+let moveCount = 0; // Arrow presses the player has made this game
+let hintsUsed = 0; // Hints used this game (counted separately from moves)
+let hintPointsUsed = 0; // Hint points spent this game
+let scrambleDepth = 0; // How many random moves shuffleBoard made
+let parMoves = 0; // Fewest arrow presses that solve the scrambled board
+let gameStartTime = null; // Set on the first move, so reading the board is free
+let gameEndTime = null; // Set when the puzzle is solved
+let gameWon = false; // Once solved, the board is frozen
+let gameGivenUp = false; // 'gaveUp' ("Luovuta") or 'timeUp' (time attack over): the answer is shown and the board is frozen
+let gameRecorded = false; // True once this game has been saved to the statistics
+let gameGeneration = 0; // Counts started games, so a game still loading its headlines knows it was replaced
+let moveHistory = []; // Moves and hints applied this game, oldest first
+let redoStack = []; // Undone moves, most recently undone last
+let initialGrid = []; // Copy of the scrambled board, used to replay the solution
+let isReplaying = false; // True while the solution replay is running
+let replayTimer = null; // Interval (then closing timeout) of the running replay
+let timerInterval = null; // Ticks the on-screen clock while a game is running
 
 
 // ============================================================
-// RSS FEED & CATEGORY FUNCTIONS
-// ======"https://www.hs.fi/rss/suomi.xml"======================================================
+// SEEDED RANDOMNESS
+// ============================================================
+// The daily puzzle ("Päivän peli") needs every player to get exactly the
+// same board, so headline choice, filler letters and shuffling all read
+// from `random`, which is swapped to a seeded generator when needed.
 
 /**
- * Picks the appropriate RSS feed URL based on the selected category.
- * If "all" is selected, randomly chooses one of the available feeds.
+ * Turns a seed string into a 32-bit integer (FNV-1a hash).
  */
-function getCategoryURL(category) {
-  if (category === 'all') {
-    const categories = Object.keys(RSS_FEEDS);
-    const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-    return RSS_FEEDS[randomCategory];
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
   }
-  return RSS_FEEDS[category] || RSS_FEEDS.tuoreimmat;
+  return hash >>> 0;
 }
 
 /**
-     * Wraps the RSS feed URL in a proxy to avoid CORS issues.
-     * We can't fetch RSS feeds directly from the browser, so we use a proxy service.
-     */
-function buildProxyURL(rssUrl) {
-    return "https://corsproxy.io/?" + encodeURIComponent(rssUrl);
+ * Creates a random number generator that always returns the same
+ * sequence for the same seed (mulberry32). Works like Math.random().
+ */
+function createSeededRandom(seed) {
+  let state = hashSeed(String(seed));
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 /**
- * Fetches headlines from an RSS feed and extracts the titles and links.
- * Skips the first title (which is usually just the feed name).
- * Returns an array where each item contains the title parts and the article link.
+ * Returns today's date as YYYY-MM-DD in the player's local time.
  */
-async function titleSearch(url) {
-  try {
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const xmlText = await response.text();
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-    const items = xmlDoc.querySelectorAll("item");
-
-    const titlesList = [];
-
-    items.forEach(item => {
-      const titleElement = item.querySelector("title");
-      const linkElement = item.querySelector("link");
-
-      if (titleElement && linkElement) {
-        let title = titleElement.textContent.toUpperCase();
-        const link = linkElement.textContent;
-
-        // Remove category prefix (e.g., "KOTIMAA | " or "URHEILU | ")
-        // This removes everything up to and including the first '|'
-        const pipeIndex = title.indexOf('|');
-        if (pipeIndex !== -1) {
-          title = title.substring(pipeIndex + 1).trim();
-        }
+function getTodayString() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
 
-        // Remove all remaining '|' characters from the title
-        title = title.replace(/\|/g, '').trim();
+/**
+ * Builds the daily seed from the date and category, so everyone playing
+ * the same category on the same day gets the same puzzle.
+ */
+function getDailySeed(category) {
+  return `${getTodayString()}:${category}`;
+}
 
-        // Store both title and the link
-        titlesList.push({
-          title: title,
-          link: link
-        });
-      }
-    });
-    return titlesList;
-  } catch (error) {
-    console.error("Error fetching headlines:", error);
-    return [];
-  }
+/**
+ * Reads an explicit seed from the URL (?seed=...), or null if there is none.
+ */
+function getSeedFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get(SEED_URL_PARAM);
 }
 
 
 // ============================================================
-// FINNISH SYLLABLE SPLITTING LOGIC
+// LANGUAGES & TRANSLATIONS
 // ============================================================
-// These functions help split words intelligently at syllable boundaries
-// rather than awkwardly in the middle of syllables.
+// Every text the player sees comes from UI_TEXT through t(). Texts in
+// index.html are marked with data-i18n (textContent), data-i18n-title and
+// data-i18n-aria-label, and applyTranslations() fills them in.
+// Placeholders like {count} are filled from the params object.
+//
+// The interface language (uiLanguage) is separate from the language of the
+// headline on the board (headlineLanguage): a Swedish feed is played with
+// Swedish letters and hyphenation whatever the interface language is.
+
+const UI_TEXT = {
+  fi: {
+    'page.title': 'Uutispeli - Sarakepulmapeli',
+    'game.title': 'Uutispeli',
+    'controls.category': 'Kategoria:',
+    'controls.difficulty': 'Vaikeus:',
+    'controls.assist': 'Apu:',
+    'controls.assistTitle': 'Merkitsee oikeat sarakkeet tai kirjaimet. Laskee tähtiä.',
+    'controls.daily': 'Päivän peli',
+    'controls.newGame': 'Uusi peli',
+    'controls.hint': '💡 Vihje',
+    'controls.giveUp': '🏳️ Luovuta',
+    'controls.stats': '📊 Tilastot',
+    'controls.campaign': '🏁 Kampanja',
+    'controls.timeAttack': '⏱️ Aikahaaste',
+    'controls.creator': '✏️ Oma tehtävä',
+    'controls.language': 'Kieli:',
+    'category.all': 'Kaikki',
+    'category.tuoreimmat': 'Tuoreimmat',
+    'category.talous': 'Talous',
+    'category.urheilu': 'Urheilu',
+    'category.yle': 'Yle: Tuoreimmat',
+    'category.tasopaketti': 'Tasopaketti',
+    'category.oma': 'Oma tehtävä',
+    'difficulty.helppo': 'Helppo',
+    'difficulty.normaali': 'Normaali',
+    'difficulty.vaikea': 'Vaikea',
+    'difficulty.mestari': 'Mestari',
+    'assist.off': 'Ei apua',
+    'assist.columns': 'Oikeat sarakkeet',
+    'assist.letters': 'Oikeat kirjaimet',
+    'hintTier.correctColumns': 'Näytä oikeat sarakkeet',
+    'hintTier.wordCount': 'Sanojen määrä',
+    'hintTier.section': 'Artikkelin osasto',
+    'hintTier.firstLetters': 'Sanojen alkukirjaimet',
+    'hintTier.solveColumn': 'Ratkaise yksi sarake',
+    'hints.menuLabel': 'Vihjeet',
+    'hints.points': 'Vihjepisteet:',
+    'hints.tierButton': '{label} ({cost} p)',
+    'hint.wordCount': 'Otsikossa on {count} sanaa',
+    'hint.section': 'Osasto: {section}',
+    'hint.firstLetters': 'Alkukirjaimet: {letters}',
+    'resume.question': 'Jatketaanko edellistä peliä?',
+    'resume.yes': 'Jatka peliä',
+    'resume.no': 'Uusi peli',
+    'grid.label': 'Pelilauta. Nuolet vasemmalle ja oikealle valitsevat sarakkeen, ylös ja alas pyörittävät sitä. H avaa vihjeet.',
+    'grid.up': 'Sarake {col} ylös',
+    'grid.down': 'Sarake {col} alas',
+    'history.undo': '↶ Kumoa',
+    'history.undoTitle': 'Kumoa (Ctrl+Z)',
+    'history.redo': '↷ Tee uudelleen',
+    'history.redoTitle': 'Tee uudelleen (Ctrl+Y)',
+    'announce.column': 'Sarake {col}: {letters}',
+    'announce.locked': '. Lukittu',
+    'announce.nowCorrect': '. Sarake on nyt oikein!',
+    'announce.columnLocked': 'Sarake {col} on lukittu vihjeellä',
+    'announce.noHintPoints': 'Vihjepisteet ovat loppuneet',
+    'announce.win': 'Voitit! Otsikko: {headline}',
+    'announce.gaveUp': 'Luovutit. Otsikko: {headline}',
+    'age.now': 'juuri nyt',
+    'age.minutes': '{count} min sitten',
+    'age.hours': '{count} h sitten',
+    'age.days': '{count} pv sitten',
+    'source.live': 'Lähde: uutissyöte (ajantasainen)',
+    'source.custom': 'Lähde: itse tehty tehtävä',
+    'source.pack': 'Lähde: tasopaketti',
+    'source.cached': 'Lähde: tallennetut otsikot, haettu {age} (ei yhteyttä syötteeseen)',
+    'source.bundled': 'Lähde: sisäänrakennettu otsikkopaketti, koottu {age} (ei yhteyttä syötteeseen)',
+    'game.stats': 'Siirrot: {moves} · Aika: {time}',
+    'game.assist': 'Apu: {assist}',
+    'puzzle.daily': 'Päivän peli {day}',
+    'puzzle.seed': 'Siemen: {seed}',
+    'puzzle.custom': 'Oma tehtävä',
+    'puzzle.campaign': 'Kampanja: {name} · Taso {level}/{total}',
+    'puzzle.brokenLink': 'Tehtävälinkki on rikki, tässä tavallinen peli.',
+    'puzzle.packFailed': 'Tasopakettia ei voitu ladata.',
+    'error.noHeadlines': 'Otsikoita ei saatu ladattua. Tarkista verkkoyhteys ja kokeile uudelleen.',
+    'win.title': 'Voitit! Otsikko on paljastunut!',
+    'win.stats': 'Siirrot: {moves} (par {par}) · Vihjeet: {hints} · Aika: {time}',
+    'win.readArticle': 'Lue artikkeli →',
+    'win.replay': '▶ Näytä ratkaisu',
+    'win.share': 'Jaa tulos',
+    'giveUp.confirm': 'Luovutetaanko? Peli merkitään tilastoihin luovutetuksi.',
+    'giveUp.title': 'Luovutit. Otsikko oli:',
+    'giveUp.published': 'Julkaistu {date}',
+    'share.title': 'Uutispeli {day}',
+    'share.daily': 'Uutispeli · Päivän peli {day}',
+    'share.seed': 'Uutispeli · Siemen {seed}',
+    'share.custom': 'Uutispeli · Oma tehtävä',
+    'share.result': '{stars} Siirrot {moves} (par {par}) · Aika {time} · Vihjeet {hints}',
+    'share.copied': 'Tulos kopioitu leikepöydälle!',
+    'share.failed': 'Jakaminen ei onnistunut.',
+    'stats.title': 'Tilastot',
+    'stats.export': 'Vie JSON',
+    'stats.import': 'Tuo JSON',
+    'stats.played': 'pelattu',
+    'stats.won': 'voitettu',
+    'stats.streak': 'putki nyt',
+    'stats.bestStreak': 'paras putki',
+    'stats.category': 'Kategoria',
+    'stats.games': 'Pelit',
+    'stats.wins': 'Voitot',
+    'stats.avgMoves': 'Siirrot ⌀',
+    'stats.avgTime': 'Aika ⌀',
+    'stats.hints': 'Vihjeet',
+    'stats.stars': 'Tähdet 0–3',
+    'stats.empty': 'Ei vielä pelattuja pelejä',
+    'stats.imported': 'Tuotiin {count} peliä.',
+    'stats.importFailed': 'Tiedostoa ei voitu lukea. Valitse uutispelistä viety JSON-tiedosto.',
+    'campaign.title': 'Kampanja',
+    'campaign.start': 'Aloita: {count} tuoreinta',
+    'campaign.importPack': 'Lataa tasopaketti',
+    'campaign.continue': 'Jatka kampanjaa',
+    'campaign.end': 'Lopeta kampanja',
+    'campaign.intro': 'Pelaa {count} tuoreinta otsikkoa syötteen järjestyksessä, tai lataa tiimin koostama tasopaketti. Tasot vaikeutuvat loppua kohti.',
+    'campaign.level': 'Taso {level} · {difficulty}',
+    'campaign.upNext': ' ← vuorossa',
+    'campaign.result': '{difficulty} · {stars} · Siirrot {moves} (par {par}) · {time}',
+    'campaign.levels': 'tasoa',
+    'campaign.done': 'Läpäisty!',
+    'campaign.stars': 'tähteä',
+    'campaign.moves': 'siirtoa',
+    'campaign.time': 'aikaa',
+    'campaign.summary': 'Kampanjan yhteenveto',
+    'campaign.next': 'Seuraava taso ({level}/{total}) →',
+    'campaign.packFailed': 'Tasopakettia ei voitu lukea. Tarkista tiedoston muoto (katso README).',
+    'creator.title': 'Oma tehtävä',
+    'creator.textLabel': 'Otsikko tai oma lause:',
+    'creator.makeLink': 'Luo linkki',
+    'creator.play': 'Pelaa',
+    'creator.linkLabel': 'Tehtävän linkki',
+    'creator.breakEarlier': 'Rivi {row} päättyy aiemmin',
+    'creator.breakLater': 'Rivi {row} päättyy myöhemmin',
+    'creator.size': '{rows} riviä · {cols} saraketta',
+    'creator.noText': 'Kirjoita ensin otsikko tai lause.',
+    'creator.copied': 'Linkki kopioitu leikepöydälle.',
+    'timeAttack.title': 'Aikahaaste',
+    'timeAttack.intro': 'Ratkaise niin monta otsikkoa kuin ehdit {minutes} minuutissa. Jokainen ratkaisu antaa {bonus} s lisää aikaa, alle {fastTime} sekunnin ratkaisu vielä {fastBonus} s lisää. Jokainen vihjepiste vie {penalty} s.',
+    'timeAttack.start': 'Aloita',
+    'timeAttack.end': 'Lopeta',
+    'timeAttack.status': '⏱️ {time} · Ratkaistu: {score}',
+    'timeAttack.solved': 'Ratkaistu: {headline} (+{bonus} s)',
+    'timeAttack.over': 'Aikahaaste päättyi: {score} otsikkoa ratkaistu.',
+    'timeAttack.lastHeadline': 'Aika loppui. Viimeinen otsikko oli:',
+    'timeAttack.newScore': 'Sija {place} parhaiden listalla!',
+    'timeAttack.scores': 'Parhaat tulokset',
+    'timeAttack.score': 'Otsikot',
+    'timeAttack.difficulty': 'Vaikeus',
+    'timeAttack.date': 'Päivä',
+    'timeAttack.empty': 'Ei vielä tuloksia.',
+  },
+  sv: {
+    'page.title': 'Nyhetsspelet - Kolumnpussel',
+    'game.title': 'Nyhetsspelet',
+    'controls.category': 'Kategori:',
+    'controls.difficulty': 'Svårighet:',
+    'controls.assist': 'Hjälp:',
+    'controls.assistTitle': 'Markerar rätta kolumner eller bokstäver. Ger färre stjärnor.',
+    'controls.daily': 'Dagens spel',
+    'controls.newGame': 'Nytt spel',
+    'controls.hint': '💡 Ledtråd',
+    'controls.giveUp': '🏳️ Ge upp',
+    'controls.stats': '📊 Statistik',
+    'controls.campaign': '🏁 Kampanj',
+    'controls.timeAttack': '⏱️ Tidsutmaning',
+    'controls.creator': '✏️ Eget pussel',
+    'controls.language': 'Språk:',
+    'category.all': 'Alla',
+    'category.tuoreimmat': 'Senaste (HS)',
+    'category.talous': 'Ekonomi (HS)',
+    'category.urheilu': 'Sport (HS)',
+    'category.yle': 'Yle: Senaste',
+    'category.tasopaketti': 'Nivåpaket',
+    'category.oma': 'Eget pussel',
+    'difficulty.helppo': 'Lätt',
+    'difficulty.normaali': 'Normal',
+    'difficulty.vaikea': 'Svår',
+    'difficulty.mestari': 'Mästare',
+    'assist.off': 'Ingen hjälp',
+    'assist.columns': 'Rätta kolumner',
+    'assist.letters': 'Rätta bokstäver',
+    'hintTier.correctColumns': 'Visa rätta kolumner',
+    'hintTier.wordCount': 'Antal ord',
+    'hintTier.section': 'Artikelns avdelning',
+    'hintTier.firstLetters': 'Ordens första bokstäver',
+    'hintTier.solveColumn': 'Lös en kolumn',
+    'hints.menuLabel': 'Ledtrådar',
+    'hints.points': 'Ledtrådspoäng:',
+    'hints.tierButton': '{label} ({cost} p)',
+    'hint.wordCount': 'Rubriken har {count} ord',
+    'hint.section': 'Avdelning: {section}',
+    'hint.firstLetters': 'Första bokstäverna: {letters}',
+    'resume.question': 'Vill du fortsätta det förra spelet?',
+    'resume.yes': 'Fortsätt spelet',
+    'resume.no': 'Nytt spel',
+    'grid.label': 'Spelbrädet. Pilarna vänster och höger väljer en kolumn, upp och ner vrider den. H öppnar ledtrådarna.',
+    'grid.up': 'Kolumn {col} upp',
+    'grid.down': 'Kolumn {col} ner',
+    'history.undo': '↶ Ångra',
+    'history.undoTitle': 'Ångra (Ctrl+Z)',
+    'history.redo': '↷ Gör om',
+    'history.redoTitle': 'Gör om (Ctrl+Y)',
+    'announce.column': 'Kolumn {col}: {letters}',
+    'announce.locked': '. Låst',
+    'announce.nowCorrect': '. Kolumnen är nu rätt!',
+    'announce.columnLocked': 'Kolumn {col} är låst av en ledtråd',
+    'announce.noHintPoints': 'Ledtrådspoängen är slut',
+    'announce.win': 'Du vann! Rubriken: {headline}',
+    'announce.gaveUp': 'Du gav upp. Rubriken: {headline}',
+    'age.now': 'just nu',
+    'age.minutes': 'för {count} min sedan',
+    'age.hours': 'för {count} h sedan',
+    'age.days': 'för {count} d sedan',
+    'source.live': 'Källa: nyhetsflöde (aktuellt)',
+    'source.custom': 'Källa: eget pussel',
+    'source.pack': 'Källa: nivåpaket',
+    'source.cached': 'Källa: sparade rubriker, hämtade {age} (ingen kontakt med flödet)',
+    'source.bundled': 'Källa: inbyggt rubrikpaket, sammanställt {age} (ingen kontakt med flödet)',
+    'game.stats': 'Drag: {moves} · Tid: {time}',
+    'game.assist': 'Hjälp: {assist}',
+    'puzzle.daily': 'Dagens spel {day}',
+    'puzzle.seed': 'Frö: {seed}',
+    'puzzle.custom': 'Eget pussel',
+    'puzzle.campaign': 'Kampanj: {name} · Nivå {level}/{total}',
+    'puzzle.brokenLink': 'Pussellänken är trasig, här är ett vanligt spel.',
+    'puzzle.packFailed': 'Nivåpaketet kunde inte laddas.',
+    'error.noHeadlines': 'Rubrikerna kunde inte laddas. Kontrollera nätverket och försök igen.',
+    'win.title': 'Du vann! Rubriken är avslöjad!',
+    'win.stats': 'Drag: {moves} (par {par}) · Ledtrådar: {hints} · Tid: {time}',
+    'win.readArticle': 'Läs artikeln →',
+    'win.replay': '▶ Visa lösningen',
+    'win.share': 'Dela resultatet',
+    'giveUp.confirm': 'Ge upp? Spelet förs in i statistiken som uppgivet.',
+    'giveUp.title': 'Du gav upp. Rubriken var:',
+    'giveUp.published': 'Publicerad {date}',
+    'share.title': 'Nyhetsspelet {day}',
+    'share.daily': 'Nyhetsspelet · Dagens spel {day}',
+    'share.seed': 'Nyhetsspelet · Frö {seed}',
+    'share.custom': 'Nyhetsspelet · Eget pussel',
+    'share.result': '{stars} Drag {moves} (par {par}) · Tid {time} · Ledtrådar {hints}',
+    'share.copied': 'Resultatet har kopierats!',
+    'share.failed': 'Delningen misslyckades.',
+    'stats.title': 'Statistik',
+    'stats.export': 'Exportera JSON',
+    'stats.import': 'Importera JSON',
+    'stats.played': 'spelade',
+    'stats.won': 'vunna',
+    'stats.streak': 'svit nu',
+    'stats.bestStreak': 'bästa svit',
+    'stats.category': 'Kategori',
+    'stats.games': 'Spel',
+    'stats.wins': 'Vinster',
+    'stats.avgMoves': 'Drag ⌀',
+    'stats.avgTime': 'Tid ⌀',
+    'stats.hints': 'Ledtrådar',
+    'stats.stars': 'Stjärnor 0–3',
+    'stats.empty': 'Inga spelade spel ännu',
+    'stats.imported': '{count} spel importerades.',
+    'stats.importFailed': 'Filen kunde inte läsas. Välj en JSON-fil som har exporterats från spelet.',
+    'campaign.title': 'Kampanj',
+    'campaign.start': 'Börja: {count} senaste',
+    'campaign.importPack': 'Ladda nivåpaket',
+    'campaign.continue': 'Fortsätt kampanjen',
+    'campaign.end': 'Avsluta kampanjen',
+    'campaign.intro': 'Spela de {count} senaste rubrikerna i flödets ordning, eller ladda ett nivåpaket som teamet har satt ihop. Nivåerna blir svårare mot slutet.',
+    'campaign.level': 'Nivå {level} · {difficulty}',
+    'campaign.upNext': ' ← näst på tur',
+    'campaign.result': '{difficulty} · {stars} · Drag {moves} (par {par}) · {time}',
+    'campaign.levels': 'nivåer',
+    'campaign.done': 'Klart!',
+    'campaign.stars': 'stjärnor',
+    'campaign.moves': 'drag',
+    'campaign.time': 'tid',
+    'campaign.summary': 'Kampanjens sammanfattning',
+    'campaign.next': 'Nästa nivå ({level}/{total}) →',
+    'campaign.packFailed': 'Nivåpaketet kunde inte läsas. Kontrollera filens format (se README).',
+    'creator.title': 'Eget pussel',
+    'creator.textLabel': 'Rubrik eller egen mening:',
+    'creator.makeLink': 'Skapa länk',
+    'creator.play': 'Spela',
+    'creator.linkLabel': 'Pussellänk',
+    'creator.breakEarlier': 'Rad {row} slutar tidigare',
+    'creator.breakLater': 'Rad {row} slutar senare',
+    'creator.size': '{rows} rader · {cols} kolumner',
+    'creator.noText': 'Skriv först en rubrik eller en mening.',
+    'creator.copied': 'Länken har kopierats.',
+    'timeAttack.title': 'Tidsutmaning',
+    'timeAttack.intro': 'Lös så många rubriker du hinner på {minutes} minuter. Varje lösning ger {bonus} s mer tid, en lösning på under {fastTime} sekunder ytterligare {fastBonus} s. Varje ledtrådspoäng kostar {penalty} s.',
+    'timeAttack.start': 'Starta',
+    'timeAttack.end': 'Avsluta',
+    'timeAttack.status': '⏱️ {time} · Lösta: {score}',
+    'timeAttack.solved': 'Löst: {headline} (+{bonus} s)',
+    'timeAttack.over': 'Tidsutmaningen är slut: {score} rubriker lösta.',
+    'timeAttack.lastHeadline': 'Tiden är slut. Den sista rubriken var:',
+    'timeAttack.newScore': 'Plats {place} på topplistan!',
+    'timeAttack.scores': 'Topplista',
+    'timeAttack.score': 'Rubriker',
+    'timeAttack.difficulty': 'Svårighet',
+    'timeAttack.date': 'Datum',
+    'timeAttack.empty': 'Inga resultat ännu.',
+  },
+  en: {
+    'page.title': 'News Game - Column Puzzle',
+    'game.title': 'News Game',
+    'controls.category': 'Category:',
+    'controls.difficulty': 'Difficulty:',
+    'controls.assist': 'Assist:',
+    'controls.assistTitle': 'Marks correct columns or letters. Costs stars.',
+    'controls.daily': 'Daily puzzle',
+    'controls.newGame': 'New game',
+    'controls.hint': '💡 Hint',
+    'controls.giveUp': '🏳️ Give up',
+    'controls.stats': '📊 Statistics',
+    'controls.campaign': '🏁 Campaign',
+    'controls.timeAttack': '⏱️ Time attack',
+    'controls.creator': '✏️ Own puzzle',
+    'controls.language': 'Language:',
+    'category.all': 'All',
+    'category.tuoreimmat': 'Latest (HS)',
+    'category.talous': 'Business (HS)',
+    'category.urheilu': 'Sports (HS)',
+    'category.yle': 'Yle: Latest',
+    'category.tasopaketti': 'Level pack',
+    'category.oma': 'Own puzzle',
+    'difficulty.helppo': 'Easy',
+    'difficulty.normaali': 'Normal',
+    'difficulty.vaikea': 'Hard',
+    'difficulty.mestari': 'Master',
+    'assist.off': 'No assist',
+    'assist.columns': 'Correct columns',
+    'assist.letters': 'Correct letters',
+    'hintTier.correctColumns': 'Show correct columns',
+    'hintTier.wordCount': 'Number of words',
+    'hintTier.section': 'Article section',
+    'hintTier.firstLetters': 'First letters of the words',
+    'hintTier.solveColumn': 'Solve one column',
+    'hints.menuLabel': 'Hints',
+    'hints.points': 'Hint points:',
+    'hints.tierButton': '{label} ({cost} pts)',
+    'hint.wordCount': 'The headline has {count} words',
+    'hint.section': 'Section: {section}',
+    'hint.firstLetters': 'First letters: {letters}',
+    'resume.question': 'Continue the previous game?',
+    'resume.yes': 'Continue',
+    'resume.no': 'New game',
+    'grid.label': 'Game board. The left and right arrows choose a column, up and down rotate it. H opens the hints.',
+    'grid.up': 'Column {col} up',
+    'grid.down': 'Column {col} down',
+    'history.undo': '↶ Undo',
+    'history.undoTitle': 'Undo (Ctrl+Z)',
+    'history.redo': '↷ Redo',
+    'history.redoTitle': 'Redo (Ctrl+Y)',
+    'announce.column': 'Column {col}: {letters}',
+    'announce.locked': '. Locked',
+    'announce.nowCorrect': '. The column is now correct!',
+    'announce.columnLocked': 'Column {col} is locked by a hint',
+    'announce.noHintPoints': 'No hint points left',
+    'announce.win': 'You won! The headline: {headline}',
+    'announce.gaveUp': 'You gave up. The headline: {headline}',
+    'age.now': 'just now',
+    'age.minutes': '{count} min ago',
+    'age.hours': '{count} h ago',
+    'age.days': '{count} d ago',
+    'source.live': 'Source: news feed (live)',
+    'source.custom': 'Source: own puzzle',
+    'source.pack': 'Source: level pack',
+    'source.cached': 'Source: saved headlines, fetched {age} (feed unreachable)',
+    'source.bundled': 'Source: built-in headline pack, compiled {age} (feed unreachable)',
+    'game.stats': 'Moves: {moves} · Time: {time}',
+    'game.assist': 'Assist: {assist}',
+    'puzzle.daily': 'Daily puzzle {day}',
+    'puzzle.seed': 'Seed: {seed}',
+    'puzzle.custom': 'Own puzzle',
+    'puzzle.campaign': 'Campaign: {name} · Level {level}/{total}',
+    'puzzle.brokenLink': 'The puzzle link is broken, here is a normal game.',
+    'puzzle.packFailed': 'The level pack could not be loaded.',
+    'error.noHeadlines': 'Could not load any headlines. Check your connection and try again.',
+    'win.title': 'You won! The headline is revealed!',
+    'win.stats': 'Moves: {moves} (par {par}) · Hints: {hints} · Time: {time}',
+    'win.readArticle': 'Read the article →',
+    'win.replay': '▶ Show solution',
+    'win.share': 'Share result',
+    'giveUp.confirm': 'Give up? The game goes into the statistics as given up.',
+    'giveUp.title': 'You gave up. The headline was:',
+    'giveUp.published': 'Published {date}',
+    'share.title': 'News Game {day}',
+    'share.daily': 'News Game · Daily puzzle {day}',
+    'share.seed': 'News Game · Seed {seed}',
+    'share.custom': 'News Game · Own puzzle',
+    'share.result': '{stars} Moves {moves} (par {par}) · Time {time} · Hints {hints}',
+    'share.copied': 'Result copied to the clipboard!',
+    'share.failed': 'Sharing failed.',
+    'stats.title': 'Statistics',
+    'stats.export': 'Export JSON',
+    'stats.import': 'Import JSON',
+    'stats.played': 'played',
+    'stats.won': 'won',
+    'stats.streak': 'current streak',
+    'stats.bestStreak': 'best streak',
+    'stats.category': 'Category',
+    'stats.games': 'Games',
+    'stats.wins': 'Wins',
+    'stats.avgMoves': 'Moves ⌀',
+    'stats.avgTime': 'Time ⌀',
+    'stats.hints': 'Hints',
+    'stats.stars': 'Stars 0–3',
+    'stats.empty': 'No games played yet',
+    'stats.imported': 'Imported {count} games.',
+    'stats.importFailed': 'The file could not be read. Choose a JSON file exported from the game.',
+    'campaign.title': 'Campaign',
+    'campaign.start': 'Start: {count} latest',
+    'campaign.importPack': 'Load level pack',
+    'campaign.continue': 'Continue campaign',
+    'campaign.end': 'End campaign',
+    'campaign.intro': 'Play the {count} latest headlines in feed order, or load a level pack put together by your team. The levels get harder towards the end.',
+    'campaign.level': 'Level {level} · {difficulty}',
+    'campaign.upNext': ' ← up next',
+    'campaign.result': '{difficulty} · {stars} · Moves {moves} (par {par}) · {time}',
+    'campaign.levels': 'levels',
+    'campaign.done': 'Completed!',
+    'campaign.stars': 'stars',
+    'campaign.moves': 'moves',
+    'campaign.time': 'time',
+    'campaign.summary': 'Campaign summary',
+    'campaign.next': 'Next level ({level}/{total}) →',
+    'campaign.packFailed': 'The level pack could not be read. Check the file format (see README).',
+    'creator.title': 'Own puzzle',
+    'creator.textLabel': 'Headline or your own sentence:',
+    'creator.makeLink': 'Create link',
+    'creator.play': 'Play',
+    'creator.linkLabel': 'Puzzle link',
+    'creator.breakEarlier': 'Row {row} ends earlier',
+    'creator.breakLater': 'Row {row} ends later',
+    'creator.size': '{rows} rows · {cols} columns',
+    'creator.noText': 'Write a headline or a sentence first.',
+    'creator.copied': 'Link copied to the clipboard.',
+    'timeAttack.title': 'Time attack',
+    'timeAttack.intro': 'Solve as many headlines as you can in {minutes} minutes. Every solve adds {bonus} s to the clock, and one in under {fastTime} seconds another {fastBonus} s. Every hint point costs {penalty} s.',
+    'timeAttack.start': 'Start',
+    'timeAttack.end': 'Stop',
+    'timeAttack.status': '⏱️ {time} · Solved: {score}',
+    'timeAttack.solved': 'Solved: {headline} (+{bonus} s)',
+    'timeAttack.over': 'Time attack over: {score} headlines solved.',
+    'timeAttack.lastHeadline': 'Time is up. The last headline was:',
+    'timeAttack.newScore': 'Number {place} on the high scores!',
+    'timeAttack.scores': 'High scores',
+    'timeAttack.score': 'Headlines',
+    'timeAttack.difficulty': 'Difficulty',
+    'timeAttack.date': 'Date',
+    'timeAttack.empty': 'No scores yet.',
+  },
+};
 
 /**
- * Splits a Finnish word into syllables using basic Finnish phonology rules.
- * This helps us break headlines more naturally across rows.
+ * Returns the interface text for a key in the current language, with
+ * {placeholders} filled in. Falls back to Finnish, then to the key itself.
  */
-function splitFinnishSyllables(word) {
-  word = word.toLowerCase();
-  const vowels = 'aeiouyäö';
-  const consonants = 'bcdfghjklmnpqrstvwxz';
-
-  const syllables = [];
-  let currentSyllable = '';
-
-  for (let i = 0; i < word.length; i++) {
-    const char = word[i];
-    currentSyllable += char;
-
-    if (i < word.length - 1) {
-      const nextChar = word[i + 1];
-      const nextNextChar = i < word.length - 2 ? word[i + 2] : '';
-
-      // Check for vowel-vowel boundaries (but respect diphthongs)
-      if (vowels.includes(char) && vowels.includes(nextChar)) {
-        const diphthongs = ['ai', 'ei', 'oi', 'ui', 'yi', 'äi', 'öi',
-                           'au', 'eu', 'ou', 'iu', 'ey', 'äy', 'öy',
-                           'ie', 'uo', 'yö'];
-        const pair = char + nextChar;
-
-        if (!diphthongs.includes(pair)) {
-          syllables.push(currentSyllable);
-          currentSyllable = '';
-        }
-      }
-      // Split after a vowel if followed by consonant-vowel
-      else if (vowels.includes(char) && consonants.includes(nextChar)) {
-        if (vowels.includes(nextNextChar)) {
-          syllables.push(currentSyllable);
-          currentSyllable = '';
-        }
-      }
-      // Handle consonant clusters (split between them unless they're common clusters)
-      else if (consonants.includes(char) && consonants.includes(nextChar)) {
-        const clusters = ['ch', 'sh', 'th', 'kh', 'ks', 'st', 'sk', 'sp', 'tr', 'kr', 'pr', 'pl', 'kl'];
-        const pair = char + nextChar;
-
-        if (i > 0 && !clusters.includes(pair)) {
-          syllables.push(currentSyllable);
-          currentSyllable = '';
-        }
-      }
-    }
+function t(key, params = {}) {
+  const catalog = UI_TEXT[uiLanguage] || UI_TEXT[DEFAULT_LANGUAGE];
+  let text = catalog[key] !== undefined ? catalog[key] : UI_TEXT[DEFAULT_LANGUAGE][key];
+  if (text === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
   }
 
-  // Don't forget the last syllable!
-  if (currentSyllable) {
-    syllables.push(currentSyllable);
+  for (const name of Object.keys(params)) {
+    text = text.split(`{${name}}`).join(params[name]);
   }
-
-  return syllables.length > 0 ? syllables : [word];
+  return text;
 }
 
 /**
- * Finds the best place to split text near a target position.
- * Prefers splitting at spaces, but will split at syllable boundaries if needed.
+ * Picks the interface language: the saved choice, or else the first
+ * browser language we have texts for, or else Finnish.
  */
-function findBestSplitPoint(text, targetIndex, tolerance = 15) {
-  let bestSpaceIndex = -1;
-  let bestSpaceDistance = Infinity;
-
-  // First, try to find a space near our target position
-  for (let i = Math.max(0, targetIndex - tolerance); i < Math.min(text.length, targetIndex + tolerance); i++) {
-    if (text[i] === ' ') {
-      const distance = Math.abs(i - targetIndex);
-      if (distance < bestSpaceDistance) {
-        bestSpaceDistance = distance;
-        bestSpaceIndex = i;
-      }
-    }
-  }
-
-  // If we found a good space, use it
-  if (bestSpaceIndex !== -1) {
-    return { index: bestSpaceIndex, isMidWord: false };
+function detectLanguage() {
+  try {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (Object.hasOwn(UI_TEXT, saved)) return saved;
+  } catch (error) {
+    console.warn("Could not read language setting:", error);
   }
 
-  // No space found nearby, so we need to split within a word
-  // Find the word boundaries around our target
-  let wordStart = targetIndex;
-  while (wordStart > 0 && text[wordStart - 1] !== ' ') {
-    wordStart--;
+  const browserLanguages = navigator.languages || [navigator.language || ''];
+  for (const locale of browserLanguages) {
+    const language = String(locale).toLowerCase().split('-')[0];
+    if (Object.hasOwn(UI_TEXT, language)) return language;
   }
+  return DEFAULT_LANGUAGE;
+}
 
-  let wordEnd = targetIndex;
-  while (wordEnd < text.length && text[wordEnd] !== ' ') {
-    wordEnd++;
+/**
+ * Remembers the chosen interface language.
+ */
+function saveLanguage() {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, uiLanguage);
+  } catch (error) {
+    console.warn("Could not save language setting:", error);
   }
+}
 
-  // Split the word into syllables and find the best syllable boundary
-  const word = text.substring(wordStart, wordEnd);
-  const syllables = splitFinnishSyllables(word);
-
-  let currentPos = wordStart;
-  let bestSyllableIndex = targetIndex;
-  let bestSyllableDistance = Infinity;
+/**
+ * Fills in the marked texts of the page and the option labels of the
+ * dropdowns that are built from code.
+ */
+function applyTranslations() {
+  document.documentElement.lang = uiLanguage;
+  document.title = t('page.title');
 
-  for (let i = 0; i < syllables.length - 1; i++) {
-    currentPos += syllables[i].length;
-    const distance = Math.abs(currentPos - targetIndex);
-    if (distance < bestSyllableDistance) {
-      bestSyllableDistance = distance;
-      bestSyllableIndex = currentPos;
-    }
-  }
+  document.querySelectorAll("[data-i18n]").forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-title]").forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  document.querySelectorAll("[data-i18n-aria-label]").forEach(element => {
+    element.setAttribute("aria-label", t(element.dataset.i18nAriaLabel));
+  });
+  document.getElementById("startCampaignBtn").textContent = t('campaign.start', { count: CAMPAIGN_LENGTH });
 
-  return { index: bestSyllableIndex, isMidWord: true };
+  document.querySelectorAll("#categorySelect option").forEach(option => {
+    option.textContent = option.value === 'all' ? t('category.all') : getCategoryLabel(option.value);
+  });
+  document.querySelectorAll("#difficultySelect option, #creatorDifficulty option").forEach(option => {
+    option.textContent = t(`difficulty.${option.value}`);
+  });
+  document.querySelectorAll("#assistSelect option").forEach(option => {
+    option.textContent = t(`assist.${option.value}`);
+  });
 }
 
-
-// ============================================================
-// HEADLINE TEXT PROCESSING
-// ============================================================
-
 /**
- * Takes a list of headlines and picks a random one that fits our constraints.
- * Then splits it into rows to create the game grid.
+ * Switches the interface language and redraws every text on screen.
+ * The board and the game in progress are not touched.
  */
-function createRandomTitleMatrix(titlesList, numRows = 3, maxLength = 80) {
-  if (!titlesList || titlesList.length === 0) {
-    console.error("No titles available");
-    currentArticleLink = '';
-    return [[['*']]]; // Return a minimal grid if no headlines
-  }
+function setLanguage(language) {
+  if (!Object.hasOwn(UI_TEXT, language)) return;
+  uiLanguage = language;
+  saveLanguage();
+  applyTranslations();
 
-  if (numRows < 2 || numRows > 4) {
-    console.warn(`Invalid numRows: ${numRows}. Using 3 instead.`);
-    numRows = 3;
+  // One-time hints are stored as text, so write them again
+  for (const tierKey of Object.keys(revealedHints)) {
+    revealedHints[tierKey] = buildHintText(tierKey);
   }
+  renderHintInfo();
+  renderHintMenu();
+  updateHeadlineSourceDisplay();
+  showPuzzleInfo(document.getElementById("dailyToggle").checked);
+  updateStatsDisplay();
 
-  // Filter to headlines that aren't too long
-  const validTitles = titlesList.filter(item => {
-    const headline = item.title;
-    return headline.length <= maxLength;
-  });
-
-  // If no valid titles, pick any one and truncate it
-  if (validTitles.length === 0) {
-    console.warn(`No titles found under ${maxLength} characters. Using all titles and truncating.`);
-    const randomIndex = Math.floor(Math.random() * titlesList.length);
-    const randomItem = titlesList[randomIndex];
-    currentArticleLink = randomItem.link;
-    let headline = randomItem.title;
+  if (grid.length > 0) {
+    renderArrows();
+    if (gameWon) checkWin();
+    if (gameGivenUp) showGiveUpMessage();
+  }
+  if (!document.getElementById("statsPanel").hidden) renderStatsPanel();
+  if (!document.getElementById("creatorPanel").hidden) renderCreatorPreview();
+  if (!document.getElementById("timeAttackPanel").hidden) renderTimeAttackPanel();
+  updateTimeAttackDisplay();
+}
 
-    if (headline.length > maxLength) {
-      headline = headline.substring(0, maxLength);
-      const lastSpace = headline.lastIndexOf(' ');
-      // Try to cut at a word boundary if possible
-      if (lastSpace > maxLength * 0.8) {
-        headline = headline.substring(0, lastSpace);
-      }
-      headline = headline.trim() + '...';
-    }
 
-    return splitHeadlineIntoMatrix(headline, numRows);
-  }
+// ============================================================
+// NEWS SOURCE ADAPTERS
+// ============================================================
+// Each news source is described by an adapter:
+//   id         - category key used in the dropdown, cache and statistics
+//   label      - text shown in the category dropdown, unless UI_TEXT has
+//                a translated name under category.<id>
+//   language   - language of the headlines: 'fi' (default), 'sv' or 'en'
+//   feeds      - one or more feed URLs (headlines from all of them are merged)
+//   format     - 'rss' (RSS 2.0 <item>), 'atom' (<entry>) or 'json' (JSON Feed)
+//   titleRules - clean-up functions applied to each raw title, in order
+//   sectionFromTitle - optional function that reads the article section
+//                from the raw title, for feeds without a <category>
+//   proxies    - optional proxy templates for this source only, e.g.
+//                ['direct'] for same-origin feeds (default: getProxyTemplates())
+// Adding a new source (Yle, IS, IL or an in-house feed) only needs a new
+// registerSourceAdapter() call; the parsing code below stays the same.
 
-  // Pick a random valid headline
-  const randomIndex = Math.floor(Math.random() * validTitles.length);
-  const randomItem = validTitles[randomIndex];
-  currentArticleLink = randomItem.link;
-  const headline = randomItem.title;
+const SOURCE_ADAPTERS = {}; // Registered adapters by id
 
-  return splitHeadlineIntoMatrix(headline, numRows);
+/**
+ * Removes an HS-style category prefix ("KOTIMAA | otsikko" -> "otsikko").
+ * This removes everything up to and including the first '|'.
+ */
+function stripPipePrefix(title) {
+  const pipeIndex = title.indexOf('|');
+  return pipeIndex !== -1 ? title.substring(pipeIndex + 1) : title;
 }
 
-
 /**
- * Splits a headline string into multiple rows for the game grid.
- * Tries to split evenly and at natural word/syllable boundaries.
+ * Reads an HS-style category prefix ("KOTIMAA | otsikko" -> "KOTIMAA").
  */
-function splitHeadlineIntoMatrix(headline, numRows) {
-  const targetCharsPerRow = headline.length / numRows;
-  const matrix = [];
-  console.log(headline);
-  let startIndex = 0;
+function getPipePrefix(title) {
+  const pipeIndex = title.indexOf('|');
+  return pipeIndex !== -1 ? title.substring(0, pipeIndex).trim() : '';
+}
 
-  for (let i = 0; i < numRows; i++) {
-    let endIndex;
+/**
+ * Removes all remaining '|' characters from the title.
+ */
+function removePipes(title) {
+  return title.replace(/\|/g, '');
+}
 
-    // Last row gets everything remaining
-    if (i === numRows - 1) {
-      endIndex = headline.length;
-      let substring = headline.substring(startIndex, endIndex).trim();
+/**
+ * Collapses repeated whitespace and trims the ends.
+ */
+function collapseWhitespace(title) {
+  return title.replace(/\s+/g, ' ').trim();
+}
 
-      if (substring.length > 0) {
-        const row = substring.split('').map(char => [char]);
-        matrix.push(row);
-      }
-    } else {
-      // Find a good split point near our target
-      const targetEnd = Math.round(startIndex + targetCharsPerRow);
-      const splitResult = findBestSplitPoint(headline, targetEnd, 20);
-      endIndex = splitResult.index;
+/**
+ * Returns the display name of a category, including the ones that are
+ * not news sources (level packs and custom puzzles).
+ */
+function getCategoryLabel(category) {
+  const key = `category.${category}`;
+  if (UI_TEXT[DEFAULT_LANGUAGE][key] !== undefined) return t(key);
+  if (Object.hasOwn(SOURCE_ADAPTERS, category)) return SOURCE_ADAPTERS[category].label;
+  return category;
+}
 
-      let substring = headline.substring(startIndex, endIndex).trim();
+/**
+ * Adds a news source to the registry and to the category dropdown.
+ */
+function registerSourceAdapter(adapter) {
+  SOURCE_ADAPTERS[adapter.id] = {
+    format: 'rss',
+    language: DEFAULT_LANGUAGE,
+    titleRules: [collapseWhitespace],
+    sectionFromTitle: null,
+    proxies: null,
+    ...adapter,
+  };
 
-      // Add a hyphen if we split mid-word
-      if (splitResult.isMidWord) {
-        substring += '-';
-      }
+  const select = document.getElementById("categorySelect");
+  if (select && !select.querySelector(`option[value="${adapter.id}"]`)) {
+    const option = document.createElement("option");
+    option.value = adapter.id;
+    option.textContent = getCategoryLabel(adapter.id);
+    select.appendChild(option);
+  }
+}
 
-      if (substring.length > 0) {
-        const row = substring.split('').map(char => [char]);
-        matrix.push(row);
-      }
+/**
+ * Registers the news sources that ship with the game.
+ */
+function registerDefaultSourceAdapters() {
+  const hsRules = [stripPipePrefix, removePipes, collapseWhitespace];
 
-      // Move past the split point (skip space if we split at word boundary)
-      startIndex = splitResult.isMidWord ? endIndex : endIndex + 1;
-    }
-  }
+  registerSourceAdapter({
+    id: 'tuoreimmat',
+    label: 'Tuoreimmat',
+    feeds: ["https://www.hs.fi/rss/tuoreimmat.xml"],
+    titleRules: hsRules,
+    sectionFromTitle: getPipePrefix,
+  });
+  registerSourceAdapter({
+    id: 'talous',
+    label: 'Talous',
+    feeds: ["https://www.hs.fi/rss/talous.xml"],
+    titleRules: hsRules,
+    sectionFromTitle: getPipePrefix,
+  });
+  registerSourceAdapter({
+    id: 'urheilu',
+    label: 'Urheilu',
+    feeds: ["https://www.hs.fi/rss/urheilu.xml"],
+    titleRules: hsRules,
+    sectionFromTitle: getPipePrefix,
+  });
+  registerSourceAdapter({
+    id: 'yle',
+    label: 'Yle: Tuoreimmat',
+    feeds: ["https://yle.fi/rss/uutiset/tuoreimmat"],
+  });
+  registerSourceAdapter({
+    id: 'is',
+    label: 'Ilta-Sanomat',
+    feeds: ["https://www.is.fi/rss/tuoreimmat.xml"],
+  });
+  registerSourceAdapter({
+    id: 'il',
+    label: 'Iltalehti',
+    feeds: ["https://www.iltalehti.fi/rss/uutiset.xml"],
+  });
+  registerSourceAdapter({
+    id: 'svenska',
+    label: 'Yle Svenska',
+    feeds: ["https://svenska.yle.fi/rss/articles/all"],
+    language: 'sv',
+  });
+  registerSourceAdapter({
+    id: 'hbl',
+    label: 'HBL',
+    feeds: ["https://www.hbl.fi/rss.xml"],
+    language: 'sv',
+  });
+}
 
-  return matrix;
+/**
+ * Registers adapters that read the local files in fixtures/, one per
+ * feed format. Enabled with ?fixtures in the URL for testing the parsers
+ * without network access.
+ */
+function registerFixtureSourceAdapters() {
+  registerSourceAdapter({
+    id: 'fixture-rss',
+    label: 'Testi: RSS 2.0',
+    feeds: ["fixtures/rss2.xml"],
+    format: 'rss',
+    titleRules: [stripPipePrefix, removePipes, collapseWhitespace],
+    sectionFromTitle: getPipePrefix,
+    proxies: ['direct'],
+  });
+  registerSourceAdapter({
+    id: 'fixture-atom',
+    label: 'Testi: Atom',
+    feeds: ["fixtures/atom.xml"],
+    format: 'atom',
+    proxies: ['direct'],
+  });
+  registerSourceAdapter({
+    id: 'fixture-json',
+    label: 'Testi: JSON Feed',
+    feeds: ["fixtures/jsonfeed.json"],
+    format: 'json',
+    proxies: ['direct'],
+  });
 }
 
 
 // ============================================================
-// GRID BUILDING & MANIPULATION
+// RSS FEED & CATEGORY FUNCTIONS
 // ============================================================
 
 /**
- * Returns a random letter from the Finnish alphabet.
- * Used to fill padding spaces with random letters for the puzzle.
+ * Turns the selected category into an actual feed category.
+ * If "all" is selected, randomly chooses one of the feeds in the interface
+ * language, or one of all the feeds when there are none in that language.
  */
-function getRandomCharacter() {
-  const finnishAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZÅÄÖ';
-  return finnishAlphabet[Math.floor(Math.random() * finnishAlphabet.length)];
+function resolveCategory(category) {
+  if (category === 'all') {
+    const allCategories = Object.keys(SOURCE_ADAPTERS);
+    const ownLanguage = allCategories.filter(id => SOURCE_ADAPTERS[id].language === uiLanguage);
+    const categories = ownLanguage.length > 0 ? ownLanguage : allCategories;
+    return categories[Math.floor(random() * categories.length)];
+  }
+  return Object.hasOwn(SOURCE_ADAPTERS, category) ? category : 'tuoreimmat';
 }
 
 /**
- * Finds the longest row in the matrix (needed for padding).
+ * Returns the proxy templates to try, in order.
+ * Known proxies given in the URL (?proxy=...) replace the configured list.
  */
-function findLongestRow(matrix) {
-  let longest = 0;
-  for (const row of matrix) {
-    if (row.length > longest) longest = row.length;
+function getProxyTemplates() {
+  const urlProxies = new URLSearchParams(window.location.search).getAll('proxy');
+  const known = urlProxies.filter(proxy => proxy === 'local' || proxy === 'direct' || PROXY_TEMPLATES.includes(proxy));
+  if (known.length < urlProxies.length) {
+    console.warn("Ignoring proxies that are not in PROXY_TEMPLATES:", urlProxies.filter(proxy => !known.includes(proxy)));
   }
-  return longest;
+  if (known.length === 0) {
+    return PROXY_TEMPLATES;
+  }
+  return known.map(proxy => proxy === 'local' ? LOCAL_PROXY_TEMPLATE : proxy);
 }
 
 /**
- * Takes the base matrix of letters and builds a complete game grid.
- * - Pads shorter rows with '*' markers (alternating left/right)
- * - Adds two extra rows at the bottom (for shuffling mechanics)
- * - Records which positions are padding vs real letters
+ * Wraps the RSS feed URL in a proxy to avoid CORS issues.
+ * We can't fetch most RSS feeds directly from the browser, so we use a proxy
+ * service. The 'direct' template returns the feed URL unchanged.
  */
-function buildGrid(baseMatrix) {
-  const longest = findLongestRow(baseMatrix);
+function buildProxyURL(rssUrl, template) {
+  if (template === 'direct') {
+    return rssUrl;
+  }
+  return template.replace('{url}', encodeURIComponent(rssUrl));
+}
 
-  // Make all rows the same length by padding with '*'
-  for (const row of baseMatrix) {
-    if (row.length < longest) {
-      const deficit = longest - row.length;
-      // Alternate padding between start and end for visual balance
-      for (let i = 0; i < deficit; i++) {
-        if (i % 2 === 0) {
-          row.unshift(['*']);
-        } else {
-          row.push(['*']);
-        }
-      }
-    }
+/**
+ * fetch() that gives up after the given time.
+ */
+async function fetchWithTimeout(url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  // Add two extra all-asterisk rows at the bottom
-  // These give us room to shuffle the columns around
-  const extraRow = Array(longest).fill(['*']);
-  baseMatrix.push(extraRow.map(() => ['*']));
-  baseMatrix.push(extraRow.map(() => ['*']));
+/**
+ * Fetches a feed through each proxy in turn, retrying each one
+ * PROXY_RETRIES times before moving on. Returns the feed text from the
+ * first proxy that answers, or throws if all of them fail.
+ */
+async function fetchFeedText(feedUrl, proxies) {
+  let lastError = null;
 
-  // Remember which positions are padding and what the correct answer is
-  originalAsteriskPositions = [];
-  originalContent = [];
+  for (const template of proxies) {
+    const url = buildProxyURL(feedUrl, template);
 
-  for (let row = 0; row < PLAYFIELD_ROWS; row++) {
-    originalAsteriskPositions[row] = [];
-    originalContent[row] = [];
-    for (let col = 0; col < baseMatrix[row].length; col++) {
-      const char = baseMatrix[row][col][0];
-      originalAsteriskPositions[row][col] = (char === '*');
-      originalContent[row][col] = char; // Store the correct letter/padding
+    for (let attempt = 0; attempt <= PROXY_RETRIES; attempt++) {
+      try {
+        const response = await fetchWithTimeout(url, PROXY_TIMEOUT_MS);
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return await response.text();
+      } catch (error) {
+        console.warn(`Proxy failed (${template}, attempt ${attempt + 1}):`, error);
+        lastError = error;
+      }
     }
   }
 
-  return baseMatrix;
+  throw lastError || new Error("No proxies configured");
 }
 
 /**
- * Replaces all padding markers ('*') with random letters.
- * This makes the padding less obvious and more puzzle-like.
+ * Reads the text of the first matching child element, or '' if missing.
  */
-function replaceAsterisksWithRandomChars() {
-  for (let row = 0; row < grid.length; row++) {
-    for (let col = 0; col < grid[row].length; col++) {
-      if (grid[row][col][0] === '*') {
-        grid[row][col][0] = getRandomCharacter();
-      }
-    }
-  }
+function getChildText(element, selector) {
+  const child = element.querySelector(selector);
+  return child ? child.textContent.trim() : '';
 }
 
 /**
- * Scrambles the board by making 15-30 random column moves.
- * This is what makes the game challenging!
+ * Finds the article image of an RSS item: an image enclosure, or a Media
+ * RSS content or thumbnail. Returns '' if the item has none.
  */
-function shuffleBoard() {
-  const numCols = grid[0].length;
-  const numRows = grid.length;
-  const shuffleMoves = 15 + Math.floor(Math.random() * 15); // Random between 15-30
+function findRSSImage(item) {
+  const candidates = [
+    ...item.getElementsByTagName("enclosure"),
+    ...item.getElementsByTagName("media:content"),
+    ...item.getElementsByTagName("media:thumbnail"),
+  ];
+  const image = candidates.find(element => {
+    const type = element.getAttribute("type") || element.getAttribute("medium") || 'image';
+    return type.startsWith('image') && element.getAttribute("url");
+  });
+  return image ? image.getAttribute("url") : '';
+}
 
-  for (let i = 0; i < shuffleMoves; i++) {
-    // Pick a random column
-    const randomCol = Math.floor(Math.random() * numCols);
-    // Pick a random shift amount
-    const randomShift = 1 + Math.floor(Math.random() * (numRows - 1));
+/**
+ * Parses an RSS 2.0 feed into raw
+ * { title, link, section, description, published, image } items.
+ */
+function parseRSSFeed(text) {
+  const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+  return Array.from(xmlDoc.querySelectorAll("item")).map(item => ({
+    title: getChildText(item, "title"),
+    link: getChildText(item, "link"),
+    section: getChildText(item, "category"),
+    description: getChildText(item, "description"),
+    published: getChildText(item, "pubDate"),
+    image: findRSSImage(item),
+  }));
+}
 
-    // Rotate the column (same logic as player moves)
-    const columnValues = grid.map(row => row[randomCol][0]);
-    const shift = randomShift % numRows;
-    const rotated = columnValues.slice(-shift).concat(columnValues.slice(0, -shift));
+/**
+ * Parses an Atom feed into raw
+ * { title, link, section, description, published, image } items.
+ * Prefers the rel="alternate" link, which points to the article itself.
+ */
+function parseAtomFeed(text) {
+  const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+  return Array.from(xmlDoc.querySelectorAll("entry")).map(entry => {
+    const linkElement = entry.querySelector('link[rel="alternate"]') || entry.querySelector("link");
+    const categoryElement = entry.querySelector("category");
+    const imageElement = entry.querySelector('link[rel="enclosure"][type^="image"]');
+    return {
+      title: getChildText(entry, "title"),
+      link: linkElement ? linkElement.getAttribute("href") || '' : '',
+      section: categoryElement ? categoryElement.getAttribute("term") || '' : '',
+      description: getChildText(entry, "summary") || getChildText(entry, "content"),
+      published: getChildText(entry, "published") || getChildText(entry, "updated"),
+      image: imageElement ? imageElement.getAttribute("href") || '' : '',
+    };
+  });
+}
 
-    for (let r = 0; r < numRows; r++) {
-      grid[r][randomCol][0] = rotated[r];
-    }
-  }
+/**
+ * Parses a JSON Feed (https://jsonfeed.org) into raw
+ * { title, link, section, description, published, image } items.
+ */
+function parseJSONFeed(text) {
+  const feed = JSON.parse(text);
+  return (feed.items || []).map(item => ({
+    title: item.title || '',
+    link: item.url || item.external_url || '',
+    section: item.tags && item.tags.length > 0 ? item.tags[0] : '',
+    description: item.summary || item.content_text || item.content_html || '',
+    published: item.date_published || '',
+    image: item.image || item.banner_image || '',
+  }));
 }
 
+// Parser for each adapter format
+const FEED_PARSERS = {
+  rss: parseRSSFeed,
+  atom: parseAtomFeed,
+  json: parseJSONFeed,
+};
 
-// ============================================================
-// GAME MECHANICS - COLUMN MOVEMENT
-// ============================================================
+/**
+ * Runs the adapter's title clean-up rules and normalises the result
+ * (see normalizeHeadline).
+ */
+function cleanTitle(title, adapter) {
+  const cleaned = adapter.titleRules.reduce((text, rule) => rule(text), title);
+  return normalizeHeadline(cleaned);
+}
 
 /**
- * Rotates a column up or down.
- * Letters wrap around (top letter goes to bottom when moving up, etc).
+ * Turns a feed description, which is often HTML, into plain text of at
+ * most ARTICLE_DESCRIPTION_MAX characters.
  */
-function moveColumn(colIndex, shift) {
-  // Don't allow moving locked columns
-  if (lockedColumns.includes(colIndex)) {
-    return;
-  }
+function cleanDescription(description) {
+  if (!description) return '';
+  const text = new DOMParser().parseFromString(description, "text/html").body.textContent;
+  const collapsed = collapseWhitespace(text);
+  if (collapsed.length <= ARTICLE_DESCRIPTION_MAX) return collapsed;
+  return collapsed.slice(0, ARTICLE_DESCRIPTION_MAX - 1).trimEnd() + '…';
+}
 
+/**
+ * Converts a feed date (RFC 822 in RSS, ISO 8601 elsewhere) to an ISO
+ * string, or '' if it can't be read.
+ */
+function parseFeedDate(date) {
+  const time = Date.parse(date);
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+}
+
+/**
+ * Returns the article description, publish date and image of a headline
+ * item, with '' for whatever it doesn't have (bundled headlines, level
+ * packs and caches from before these were read).
+ */
+function getArticleDetails(item) {
+  return {
+    description: item.description || '',
+    published: item.published || '',
+    image: item.image || '',
+  };
+}
+
+/**
+ * Parses feed text with the adapter's format and title rules.
+ * Returns an array where each item contains the cleaned title, the article
+ * link, the article section ('' if the feed doesn't tell) and the article
+ * description, publish date and image ('' when missing).
+ * Items without a title or link are skipped.
+ */
+function parseFeed(text, adapter) {
+  if (!Object.hasOwn(FEED_PARSERS, adapter.format)) {
+    throw new Error(`Unknown feed format: ${adapter.format}`);
+  }
+
+  const titlesList = [];
+
+  FEED_PARSERS[adapter.format](text).forEach(item => {
+    if (item.title && item.link) {
+      const title = cleanTitle(item.title, adapter);
+      const section = item.section || (adapter.sectionFromTitle ? adapter.sectionFromTitle(item.title) : '');
+      if (title) {
+        titlesList.push({
+          title: title,
+          link: item.link,
+          section: section,
+          description: cleanDescription(item.description),
+          published: parseFeedDate(item.published),
+          image: item.image || '',
+        });
+      }
+    }
+  });
+
+  return titlesList;
+}
+
+/**
+ * Fetches one feed and extracts the titles and links using the adapter.
+ * Returns an empty array if every proxy or the parsing fails.
+ */
+async function titleSearch(feedUrl, adapter) {
+  try {
+    const feedText = await fetchFeedText(feedUrl, adapter.proxies || getProxyTemplates());
+    return parseFeed(feedText, adapter);
+  } catch (error) {
+    console.error("Error fetching headlines:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches every feed of an adapter and merges the headlines, keeping
+ * one copy of a headline that is in several of them.
+ */
+async function fetchAdapterHeadlines(adapter) {
+  const results = await Promise.all(adapter.feeds.map(feedUrl => titleSearch(feedUrl, adapter)));
+  return dedupeHeadlines(results.flat());
+}
+
+
+// ============================================================
+// HEADLINE CACHE & OFFLINE FALLBACK
+// ============================================================
+// Every successful fetch is saved per category in localStorage. When the
+// proxy or hs.fi is down we play from that cache, and on a first visit
+// without network we fall back to the bundled headlines.json pack.
+
+/**
+ * Reads the whole headline cache from localStorage.
+ * Returns an empty object if nothing is stored or storage is unavailable.
+ */
+function readHeadlineCache() {
+  try {
+    return JSON.parse(localStorage.getItem(HEADLINE_CACHE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not read headline cache:", error);
+    return {};
+  }
+}
+
+/**
+ * Saves freshly fetched headlines for one category with a timestamp.
+ */
+function saveHeadlinesToCache(category, titles) {
+  const cache = readHeadlineCache();
+  cache[category] = { savedAt: Date.now(), titles: titles };
+
+  try {
+    localStorage.setItem(HEADLINE_CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.warn("Could not save headline cache:", error);
+  }
+}
+
+/**
+ * Loads the bundled headline pack for one category. A category the pack
+ * has nothing for gets the bundled headlines of the other sources in its
+ * language. Returns null if the pack can't be loaded or has none of those.
+ */
+async function loadBundledHeadlines(category) {
+  try {
+    const response = await fetch(BUNDLED_HEADLINES_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const pack = await response.json();
+    let titles = Object.hasOwn(pack.categories, category) ? pack.categories[category] : [];
+    if (titles.length === 0) {
+      const language = SOURCE_ADAPTERS[category].language;
+      titles = Object.keys(pack.categories)
+        .filter(id => Object.hasOwn(SOURCE_ADAPTERS, id) && SOURCE_ADAPTERS[id].language === language)
+        .flatMap(id => pack.categories[id]);
+    }
+    if (titles.length === 0) {
+      return null;
+    }
+
+    return { titles: titles, savedAt: Date.parse(pack.generatedAt) };
+  } catch (error) {
+    console.error("Error loading bundled headlines:", error);
+    return null;
+  }
+}
+
+/**
+ * Gets headlines for a category: live from the feed if possible,
+ * otherwise from the cache, otherwise from the bundled pack.
+ * Returns { titles, source, savedAt } where source is 'live', 'cached',
+ * 'bundled' or 'none'.
+ */
+async function loadHeadlines(category) {
+  const liveTitles = await fetchAdapterHeadlines(SOURCE_ADAPTERS[category]);
+
+  if (liveTitles.length > 0) {
+    saveHeadlinesToCache(category, liveTitles);
+    return { titles: liveTitles, source: 'live', savedAt: Date.now() };
+  }
+
+  const cached = readHeadlineCache()[category];
+  if (cached && cached.titles && cached.titles.length > 0) {
+    return { titles: cached.titles, source: 'cached', savedAt: cached.savedAt };
+  }
+
+  const bundled = await loadBundledHeadlines(category);
+  if (bundled) {
+    return { titles: bundled.titles, source: 'bundled', savedAt: bundled.savedAt };
+  }
+
+  return { titles: [], source: 'none', savedAt: null };
+}
+
+/**
+ * Formats how long ago a timestamp was ("5 min sitten").
+ */
+function formatAge(timestamp) {
+  const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+
+  if (minutes < 1) return t('age.now');
+  if (minutes < 60) return t('age.minutes', { count: minutes });
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('age.hours', { count: hours });
+
+  const days = Math.floor(hours / 24);
+  return t('age.days', { count: days });
+}
+
+/**
+ * Shows where the current headline came from and how old it is.
+ */
+function updateHeadlineSourceDisplay() {
+  const sourceElement = document.getElementById("headlineSource");
+  if (!sourceElement) return;
+
+  sourceElement.className = headlineSource ? `source-${headlineSource.source}` : '';
+
+  if (!headlineSource || headlineSource.source === 'none') {
+    sourceElement.textContent = "";
+  } else if (headlineSource.source === 'live') {
+    sourceElement.textContent = t('source.live');
+  } else if (headlineSource.source === 'custom') {
+    sourceElement.textContent = t('source.custom');
+  } else if (headlineSource.source === 'pack') {
+    sourceElement.textContent = t('source.pack');
+  } else if (headlineSource.source === 'cached') {
+    sourceElement.textContent = t('source.cached', { age: formatAge(headlineSource.savedAt) });
+  } else {
+    sourceElement.textContent = t('source.bundled', { age: formatAge(headlineSource.savedAt) });
+  }
+}
+
+
+// ============================================================
+// HEADLINE SELECTION
+// ============================================================
+// Every headline goes through the same steps before it can be played:
+//   1. normalizeHeadline  - typographic quotes, dashes, ellipses and odd
+//                           spaces become plain characters, then uppercase
+//   2. getHeadlineRejection - the HEADLINE_RULES: length, words, digits,
+//                           allowed characters and titles cut short
+//   3. dedupeHeadlines    - a headline in several feeds is kept once
+//   4. the played history - headlines the player has solved are skipped
+// pickHeadline relaxes these steps one at a time when nothing is left, so
+// a feed full of odd titles still gives a game.
+
+/**
+ * Turns a feed title into the plain uppercase form the board uses.
+ * '*' is removed, since it marks padding on the board.
+ */
+function normalizeHeadline(title) {
+  const plain = title
+    .normalize('NFC')
+    .replace(/[\u00A0\u2000-\u200A\u202F]/g, ' ') // No-break and other odd spaces
+    .replace(/[\u00AD\u200B]/g, '') // Soft hyphens and zero-width spaces
+    .replace(/[‘’‚‛´`]/g, "'")
+    .replace(/[‐‑‒–—―]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/\*/g, '');
+  return collapseWhitespace(plain).toUpperCase();
+}
+
+/**
+ * Returns the letters and digits of a headline, so the same headline
+ * matches whatever its punctuation or spacing.
+ */
+function getHeadlineKey(title) {
+  return normalizeHeadline(title).replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Checks a normalised headline against HEADLINE_RULES. Returns why it
+ * can't be played ('tooShort', 'tooFewWords', 'tooManyDigits',
+ * 'badCharacters' or 'cutOff'), or '' if it is fine.
+ */
+function getHeadlineRejection(title, language = headlineLanguage) {
+  const alphabet = LANGUAGE_ALPHABETS[language] || LANGUAGE_ALPHABETS[DEFAULT_LANGUAGE];
+  const isDigit = char => char >= '0' && char <= '9';
+  const chars = Array.from(title);
+
+  if (chars.length < HEADLINE_RULES.minLength) return 'tooShort';
+
+  const words = title.split(' ').filter(word => Array.from(word).some(char => alphabet.includes(char)));
+  if (words.length < HEADLINE_RULES.minWords) return 'tooFewWords';
+
+  const digits = chars.filter(isDigit).length;
+  const letters = chars.filter(char => alphabet.includes(char)).length;
+  if (digits > (digits + letters) * HEADLINE_RULES.maxDigitShare) return 'tooManyDigits';
+
+  if (!chars.every(char => isPlayableCharacter(char, alphabet))) return 'badCharacters';
+
+  if (HEADLINE_RULES.rejectCutOff && title.endsWith('...')) return 'cutOff';
+  return '';
+}
+
+/**
+ * Can the board show this character? Letters of the headline language,
+ * digits and the HEADLINE_RULES punctuation can.
+ */
+function isPlayableCharacter(char, alphabet) {
+  return alphabet.includes(char) || (char >= '0' && char <= '9') || HEADLINE_RULES.punctuation.includes(char);
+}
+
+/**
+ * Removes the characters the board can't show (emoji, symbols, letters
+ * of other alphabets) from a normalised text. Used for text that is
+ * played as it is, without the other HEADLINE_RULES checks.
+ */
+function removeUnplayableCharacters(title, language = headlineLanguage) {
+  const alphabet = LANGUAGE_ALPHABETS[language] || LANGUAGE_ALPHABETS[DEFAULT_LANGUAGE];
+  return collapseWhitespace(Array.from(title).filter(char => isPlayableCharacter(char, alphabet)).join(''));
+}
+
+/**
+ * Keeps the first of each headline that appears more than once
+ * (the same story is often in several feeds).
+ */
+function dedupeHeadlines(titles) {
+  const seen = new Set();
+  return titles.filter(item => {
+    const key = getHeadlineKey(item.title);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Reads the keys of the headlines the player has solved, oldest first.
+ */
+function loadPlayedHeadlines() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYED_HEADLINES_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("Could not read played headlines:", error);
+    return [];
+  }
+}
+
+/**
+ * Remembers a solved headline so it isn't dealt again. Only the newest
+ * PLAYED_HEADLINES_LIMIT are kept.
+ */
+function savePlayedHeadline(title) {
+  const key = getHeadlineKey(title);
+  const played = loadPlayedHeadlines().filter(existing => existing !== key);
+  played.push(key);
+
+  try {
+    localStorage.setItem(PLAYED_HEADLINES_KEY, JSON.stringify(played.slice(-PLAYED_HEADLINES_LIMIT)));
+  } catch (error) {
+    console.warn("Could not save played headlines:", error);
+  }
+}
+
+/**
+ * Runs headlines through normalising, the rules and deduplication.
+ * Returns the playable ones, in their original order, with clean titles.
+ */
+function selectHeadlines(titles, language = headlineLanguage) {
+  const normalized = titles.map(item => ({ ...item, title: normalizeHeadline(item.title) }));
+  return dedupeHeadlines(normalized.filter(item => !getHeadlineRejection(item.title, language)));
+}
+
+/**
+ * Picks the headline for a new board: a random playable one that fits in
+ * maxLength and hasn't been solved yet. When there is none, solved ones
+ * are allowed again, then ones that break the rules. If no headline fits
+ * maxLength at all, the shortest one is played whole (on a wider board).
+ * Seeded boards and campaign levels skip the solved check, so everyone
+ * with the same link or pack gets the same headline.
+ */
+function pickHeadline(titles, maxLength) {
+  const shared = currentSeed !== '' || campaignLevel >= 0;
+  const played = new Set(shared ? [] : loadPlayedHeadlines());
+  const accepted = selectHeadlines(titles);
+  const everything = dedupeHeadlines(titles.map(item => ({ ...item, title: normalizeHeadline(item.title) })))
+    .filter(item => item.title !== '');
+  const fits = item => item.title.length <= maxLength;
+
+  const choices = [
+    accepted.filter(item => fits(item) && !played.has(getHeadlineKey(item.title))),
+    accepted.filter(fits),
+    everything.filter(fits),
+  ];
+  for (const choice of choices) {
+    if (choice.length > 0) {
+      return choice[Math.floor(random() * choice.length)];
+    }
+  }
+
+  console.warn(`No titles found under ${maxLength} characters. Using the shortest one.`);
+  const pool = accepted.length > 0 ? accepted : everything;
+  return pool.reduce((shortest, item) => item.title.length < shortest.title.length ? item : shortest);
+}
+
+
+// ============================================================
+// HYPHENATION
+// ============================================================
+// Finds where words can be hyphenated. The rules are shared by every
+// headline language and tuned by the HYPHENATION_RULES entry for it:
+//   - consonant rule: the last consonant before a vowel starts a new
+//     syllable (kat-to, rans-ka, Uk-rai-na; Swedish hop-pa, fly-ga)
+//   - vowel rule: two vowels that are neither a long vowel nor a vowel
+//     group (diphthong) belong to different syllables (ko-e, ra-di-o)
+//   - Finnish diphthongs ending in -u/-y split before the -us/-ys suffix
+//     (ta-lou-den, but ta-lo-us, kat-sa-us-ta), and ie, uo, yö only count
+//     in the first syllable of a word (tie-to, but tu-li-en)
+//   - compound words break at the word boundary (kansan-e-dus-ta-ja)
+//   - consonantGroups sound like one consonant and move together (ma-cho)
+// Compounds are recognised from compoundParts, and anything the rules get
+// wrong goes to exceptions. Digits and punctuation are never split, but a
+// word can always break after a hyphen it already has (1990-|lu-vul-la).
+
+// Common first parts of Finnish compound words in news headlines. A word
+// that starts with one of these is split into parts that are hyphenated
+// separately. Only add words whose inflected forms don't start with the
+// same letters followed by a vowel (e.g. 'suur' would break suu-rim-mat).
+const FINNISH_COMPOUND_PARTS = [
+  'kansan', 'kansain', 'valtion', 'kaupungin', 'kunnan', 'rauhan', 'presidentin',
+  'hallitus', 'eduskunta', 'puolustus', 'terveys', 'terveyden', 'talous', 'tutkimus',
+  'keskus', 'rakennus', 'perus', 'moottori', 'metsä', 'työllisyys',
+  'maa', 'työ', 'pää', 'jää', 'yli', 'ala', 'ydin', 'syys', 'kesä', 'talvi',
+  'vaali', 'sote', 'vero', 'raha', 'koti', 'sota', 'lento', 'asunto', 'sähkö',
+  'energia', 'ilmasto', 'urheilu', 'jalka', 'olympia', 'poliisi', 'ennakko',
+  'loppu', 'alku', 'yhteis',
+];
+
+// Word starts with their breaks marked, for words the rules get wrong.
+// An entry also covers inflected forms: 'a-la-i-käi' fixes alaikäinen,
+// alaikäisten and so on, and the rest of the word follows the rules.
+const FINNISH_HYPHENATION_EXCEPTIONS = [
+  'a-la-i-käi', 'ul-ko-il-ma', 'ul-ko-o-pe-tus', 'sa-no-ma-leh-ti', 'you-tube',
+  'face-book', 'i-pho-ne', 'lin-ked-in', 'tik-tok', 'chat-gpt', 'ko-ro-na-ro-ko-te',
+  'kes-ki-yö', 'tuo-mi-o-is-tuin', 'y-leis-ur-hei-lu', 'vie-ras-ot-te-lu', 'ää-nes-tys-ak-tii-vi',
+];
+
+// Hyphenation rules for each headline language:
+//   vowels          - letters that form syllables
+//   longVowels      - a doubled vowel is one long vowel (Finnish aa, English ee)
+//   vowelGroups     - vowel pairs that always stay in one syllable
+//   firstSyllableGroups - vowel pairs that only stay together in the first syllable
+//   suffixStarts    - outside the first syllable, these split a vowel group
+//                     when a consonant or the end of the word follows (va-pa-us)
+//   consonantGroups - consonants that move to the next syllable together
+//   silentFinalE    - a final -e/-es/-ed is usually not a syllable (English)
+//   compoundParts, exceptions - see above
+const HYPHENATION_RULES = {
+  fi: {
+    vowels: 'aeiouyäöå',
+    longVowels: true,
+    vowelGroups: ['ai', 'ei', 'oi', 'ui', 'yi', 'äi', 'öi', 'au', 'eu', 'ou', 'ey', 'äy', 'öy'],
+    firstSyllableGroups: ['iu', 'iy', 'ie', 'uo', 'yö'],
+    suffixStarts: ['us', 'ys'],
+    consonantGroups: ['ch', 'sh', 'th', 'ph', 'zh'],
+    silentFinalE: false,
+    compoundParts: FINNISH_COMPOUND_PARTS,
+    exceptions: FINNISH_HYPHENATION_EXCEPTIONS,
+  },
+  sv: {
+    vowels: 'aeiouyåäöé',
+    longVowels: false,
+    vowelGroups: ['au', 'eu'],
+    firstSyllableGroups: [],
+    suffixStarts: [],
+    consonantGroups: ['sch', 'skj', 'stj', 'sj', 'tj', 'kj', 'ch', 'ph', 'th'],
+    silentFinalE: false,
+    // Compounds joined with a linking -s, which never start an inflected form
+    compoundParts: ['regerings', 'bostads', 'arbets', 'stads', 'lands', 'riks', 'stats'],
+    exceptions: ['män-ni-sk', 'of-ta', 'in-for-ma-tion', 'sta-tion'],
+  },
+  en: {
+    vowels: 'aeiouy',
+    longVowels: true,
+    vowelGroups: ['ai', 'ay', 'au', 'aw', 'ea', 'ei', 'ey', 'eu', 'ew', 'ie', 'oa', 'oe', 'oi', 'ou', 'ow', 'oy', 'ue', 'ui'],
+    firstSyllableGroups: [],
+    suffixStarts: [],
+    consonantGroups: ['ch', 'sh', 'th', 'ph', 'wh', 'gh'],
+    silentFinalE: true,
+    compoundParts: [],
+    exceptions: ['peo-ple', 'be-cause', 'gov-ern', 'min-is-ter', 'pres-i-dent', 'elec-tion', 'na-tion', 'in-for-ma-tion'],
+  },
+};
+
+/**
+ * Returns the hyphenation rules for a language (Finnish if it has none).
+ */
+function getHyphenationRules(language) {
+  return Object.hasOwn(HYPHENATION_RULES, language) ? HYPHENATION_RULES[language] : HYPHENATION_RULES.fi;
+}
+
+/**
+ * Checks whether an English-style final -e, -es or -ed after the given
+ * consonants is silent (made, hoped) or its own syllable (ta-ble, want-ed).
+ */
+function isSilentEnding(consonants, ending) {
+  const last = consonants[consonants.length - 1];
+  if (ending === 'e') return !(last === 'l' && consonants.length >= 2);
+  if (ending === 'ed') return last !== 't' && last !== 'd';
+  return !/(s|x|z|ch|sh|ce|ge)$/.test(consonants);
+}
+
+/**
+ * Finds syllable boundaries in a run of lowercase letters (one word or one
+ * compound part). Returns the indexes where a new syllable starts.
+ */
+function findSyllableBoundaries(letters, rules) {
+  const isVowel = char => rules.vowels.includes(char);
+  const boundaries = [];
+  let seenVowel = false;
+  let i = 0;
+
+  while (i < letters.length) {
+    const vowel = isVowel(letters[i]);
+    let end = i;
+    while (end < letters.length && isVowel(letters[end]) === vowel) {
+      end++;
+    }
+
+    if (vowel) {
+      // Vowel rule: cut the run into long vowels, vowel groups and single vowels
+      let pos = i;
+      let firstSyllable = !seenVowel;
+      while (pos < end) {
+        const pair = letters.substring(pos, pos + 2);
+        const rest = letters.substring(pos + 1);
+        const suffix = !firstSyllable && rules.suffixStarts.some(start =>
+          rest.startsWith(start) && (rest.length === start.length || !isVowel(rest[start.length])));
+        const together = pair.length === 2 && ((rules.longVowels && pair[0] === pair[1]) ||
+          (rules.vowelGroups.includes(pair) && !suffix) ||
+          (firstSyllable && rules.firstSyllableGroups.includes(pair)));
+        pos += together ? 2 : 1;
+        if (pos < end) boundaries.push(pos);
+        firstSyllable = false;
+      }
+      seenVowel = true;
+    } else if (seenVowel && end < letters.length) {
+      const consonants = letters.substring(i, end);
+      const ending = letters.substring(end);
+      const silent = rules.silentFinalE && /^e[sd]?$/.test(ending) && isSilentEnding(consonants, ending);
+
+      // Consonant rule: the last consonant (or consonant group) before the
+      // vowel starts a syllable
+      if (!silent) {
+        const group = rules.consonantGroups.find(candidate => consonants.endsWith(candidate));
+        boundaries.push(end - (group ? group.length : 1));
+      }
+    }
+
+    i = end;
+  }
+
+  return boundaries.filter(index => index > 0);
+}
+
+/**
+ * Finds compound word boundaries from the rules' compoundParts.
+ * Returns the indexes where each later part starts.
+ */
+function findCompoundBoundaries(letters, rules) {
+  const isVowel = char => rules.vowels.includes(char);
+
+  for (const part of rules.compoundParts) {
+    if (!letters.startsWith(part)) continue;
+    const rest = letters.substring(part.length);
+
+    // The rest has to look like a word of its own: a few letters, starting
+    // with a vowel or one consonant. After a vowel, 'i' usually starts a
+    // suffix instead (sähkö-inen is säh-köi-nen), so that is not a boundary.
+    if (rest.length < 3 || !Array.from(rest).some(isVowel)) continue;
+    if (!isVowel(rest[0]) && !isVowel(rest[1])) continue;
+    if (isVowel(part[part.length - 1]) && rest[0] === 'i') continue;
+
+    const later = findCompoundBoundaries(rest, rules).map(index => index + part.length);
+    return [part.length, ...later];
+  }
+  return [];
+}
+
+/**
+ * Finds the syllable boundaries of a run of letters, splitting compound
+ * words into their parts first.
+ */
+function findLetterRunBoundaries(letters, rules) {
+  const parts = [0, ...findCompoundBoundaries(letters, rules), letters.length];
+  const boundaries = parts.slice(1, -1);
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    const part = letters.substring(parts[i], parts[i + 1]);
+    boundaries.push(...findSyllableBoundaries(part, rules).map(index => index + parts[i]));
+  }
+
+  return boundaries;
+}
+
+/**
+ * Applies the longest matching entry of the rules' exceptions:
+ * inside the entry its breaks replace the ones the rules found.
+ */
+function applyHyphenationExceptions(lowerWord, boundaries, rules) {
+  let best = null;
+  for (const entry of rules.exceptions) {
+    const letters = entry.replace(/-/g, '');
+    if (lowerWord.startsWith(letters) && (!best || letters.length > best.letters.length)) {
+      best = { entry, letters };
+    }
+  }
+  if (!best) return boundaries;
+
+  const fixed = [];
+  let position = 0;
+  for (const piece of best.entry.split('-').slice(0, -1)) {
+    position += piece.length;
+    fixed.push(position);
+  }
+  return fixed.concat(boundaries.filter(index => index >= best.letters.length));
+}
+
+/**
+ * Splits a word into syllables using the rules of the given language.
+ * The pieces keep the word's own letters and case, so joining them gives
+ * the word back. Digits and punctuation stay with the letters next to them.
+ */
+function splitSyllables(word, language = headlineLanguage) {
+  const rules = getHyphenationRules(language);
+  const lowerWord = word.toLowerCase();
+  let boundaries = [];
+
+  // Hyphenate each run of letters on its own ("HS:n", "5G-verkko")
+  const letterRuns = /\p{L}+/gu;
+  let match;
+  while ((match = letterRuns.exec(lowerWord)) !== null) {
+    const start = match.index;
+    boundaries.push(...findLetterRunBoundaries(match[0], rules).map(index => index + start));
+  }
+
+  // A hyphen already in the word is always a place to break
+  for (let i = 1; i < word.length; i++) {
+    if (word[i - 1] === '-' || word[i - 1] === '–') {
+      boundaries.push(i);
+    }
+  }
+
+  boundaries = applyHyphenationExceptions(lowerWord, boundaries, rules);
+  boundaries = [...new Set(boundaries)].filter(index => index > 0 && index < word.length).sort((a, b) => a - b);
+
+  const syllables = [];
+  let previous = 0;
+  for (const index of [...boundaries, word.length]) {
+    syllables.push(word.substring(previous, index));
+    previous = index;
+  }
+  return syllables;
+}
+
+/**
+ * Returns the places a word can be broken across two rows: its syllable
+ * boundaries, except ones that would leave a single letter on either row.
+ */
+function getHyphenationPoints(word, language = headlineLanguage) {
+  const points = [];
+  let position = 0;
+
+  for (const syllable of splitSyllables(word, language).slice(0, -1)) {
+    position += syllable.length;
+    if (position >= 2 && position <= word.length - 2) {
+      points.push(position);
+    }
+  }
+  return points;
+}
+
+
+// ============================================================
+// HEADLINE TEXT PROCESSING
+// ============================================================
+
+/**
+ * Takes a list of headlines and picks a random one that fits our constraints.
+ * Then splits it into rows to create the game grid.
+ */
+function createRandomTitleMatrix(titlesList, numRows = 3, maxLength = 80) {
+  if (!titlesList || titlesList.length === 0) {
+    console.error("No titles available");
+    currentArticleLink = '';
+    currentHeadline = '';
+    currentSection = '';
+    currentArticleDetails = getArticleDetails({});
+    return [[['*']]]; // Return a minimal grid if no headlines
+  }
+
+  if (numRows < 2 || numRows > 4) {
+    console.warn(`Invalid numRows: ${numRows}. Using 3 instead.`);
+    numRows = 3;
+  }
+
+  // Playable, unsolved and short enough (see HEADLINE SELECTION)
+  const item = pickHeadline(titlesList, maxLength);
+  currentArticleLink = item.link;
+  currentSection = item.section || '';
+  currentArticleDetails = getArticleDetails(item);
+  currentHeadline = item.title;
+
+  return splitHeadlineIntoMatrix(item.title, numRows);
+}
+
+
+/**
+ * Describes a row break at the given index (a space or a syllable boundary).
+ */
+function makeSplit(text, index) {
+  return { index, isMidWord: text[index] !== ' ' };
+}
+
+/**
+ * Lists every index where a headline can break into rows: each space, and
+ * each hyphenation point inside a word. Returned in order.
+ */
+function getSplitCandidates(text, language = headlineLanguage) {
+  const candidates = [];
+  let wordStart = 0;
+
+  for (let i = 0; i <= text.length; i++) {
+    if (i < text.length && text[i] !== ' ') continue;
+
+    // Hyphenation points of the word that ends here
+    for (const point of getHyphenationPoints(text.substring(wordStart, i), language)) {
+      candidates.push(wordStart + point);
+    }
+
+    if (i < text.length) {
+      candidates.push(i);
+    }
+    wordStart = i + 1;
+  }
+
+  return candidates;
+}
+
+/**
+ * Works out the cost of one row running from one row break to the next
+ * (null = start or end of the headline). Returns Infinity for rows that
+ * are empty or only a fragment of a hyphenated word.
+ */
+function getRowCost(headline, from, to, targetLength) {
+  const start = !from ? 0 : (from.isMidWord ? from.index : from.index + 1);
+  const end = to ? to.index : headline.length;
+  const row = headline.substring(start, end).trim();
+  const startsMidWord = Boolean(from && from.isMidWord);
+  const endsMidWord = Boolean(to && to.isMidWord);
+
+  if (row.length === 0) return Infinity;
+  if (!row.includes(' ') && (startsMidWord || endsMidWord)) return Infinity;
+
+  const length = row.length + (endsMidWord && !row.endsWith('-') ? 1 : 0);
+  let cost = (length - targetLength) ** 2;
+  if (endsMidWord) {
+    cost += LINE_BREAK_HYPHEN_PENALTY;
+    if (startsMidWord) cost += LINE_BREAK_DOUBLE_HYPHEN_PENALTY;
+  } else if (to && LINE_BREAK_PUNCTUATION.includes(row[row.length - 1])) {
+    cost -= LINE_BREAK_PUNCTUATION_BONUS;
+  }
+  return cost;
+}
+
+/**
+ * Works out where a headline breaks into rows. All row breaks are chosen
+ * together (Knuth-Plass style dynamic programming) so that the rows come
+ * out as even as possible, with the costs from getRowCost. Unused rows
+ * count as rows of length 0, so fewer rows are only used when nothing else
+ * fits. Returns one { index, isMidWord } per row break: index is the space
+ * that is dropped, or for a mid-word break the first letter of the next row.
+ */
+function findRowSplits(headline, numRows, language = headlineLanguage) {
+  const targetLength = headline.length / numRows;
+  const points = [null, ...getSplitCandidates(headline, language).map(index => makeSplit(headline, index))];
+
+  // best[rows][p] is the cheapest way to fill `rows` rows up to points[p]
+  let best = [{ cost: 0, previous: null }];
+  let finished = { cost: Infinity, path: [] };
+
+  for (let rows = 1; rows <= numRows; rows++) {
+    const next = [];
+
+    best.forEach((entry, p) => {
+      if (!entry) return;
+
+      // Finish with a last row that runs to the end of the headline
+      const emptyRows = numRows - rows;
+      const total = entry.cost + getRowCost(headline, points[p], null, targetLength) + emptyRows * targetLength ** 2;
+      if (total < finished.cost) {
+        finished = { cost: total, path: entry };
+      }
+
+      // Or end this row at a later break and keep going
+      if (rows === numRows) return;
+      for (let q = p + 1; q < points.length; q++) {
+        const cost = entry.cost + getRowCost(headline, points[p], points[q], targetLength);
+        if (cost < Infinity && (!next[q] || cost < next[q].cost)) {
+          next[q] = { cost, previous: entry, split: points[q] };
+        }
+      }
+    });
+
+    best = next;
+  }
+
+  // Walk back from the cheapest finish to collect the breaks
+  const splits = [];
+  for (let entry = finished.path; entry && entry.split; entry = entry.previous) {
+    splits.unshift(entry.split);
+  }
+  return splits;
+}
+
+/**
+ * Cuts a headline into row strings at the given splits.
+ * Mid-word splits get a hyphen, and rows that come out empty are dropped.
+ */
+function splitHeadlineAt(headline, splits) {
+  const rows = [];
+  let startIndex = 0;
+
+  for (const split of splits) {
+    let substring = headline.substring(startIndex, split.index).trim();
+
+    // Add a hyphen if we split mid-word (unless the word had one there)
+    if (split.isMidWord && !substring.endsWith('-')) {
+      substring += '-';
+    }
+
+    if (substring.length > 0) {
+      rows.push(substring);
+    }
+    startIndex = split.isMidWord ? split.index : split.index + 1;
+  }
+
+  const lastRow = headline.substring(startIndex).trim();
+  if (lastRow.length > 0) {
+    rows.push(lastRow);
+  }
+
+  return rows;
+}
+
+/**
+ * Splits a headline string into multiple rows for the game grid.
+ */
+function splitHeadlineIntoMatrix(headline, numRows) {
+  const rows = splitHeadlineAt(headline, findRowSplits(headline, numRows));
+  return rows.map(row => Array.from(row).map(char => [char]));
+}
+
+
+// ============================================================
+// DECOY LETTERS
+// ============================================================
+// Padding cells and the hidden rows are filled with decoy letters. How
+// they are picked is the `decoys` setting of the difficulty preset:
+//   uniform   - every letter of the alphabet is as likely. Rare letters
+//               (Q, W, Z, Å...) stand out as filler, which helps.
+//   frequency - letters as common as in the language (LETTER_FREQUENCIES)
+//   headline  - letters as common as in the headline itself, so the filler
+//               looks like the letters the player is looking for
+//   bigrams   - like headline, and a decoy next to a letter often makes a
+//               pair that appears in the headline or in COMMON_BIGRAMS, so
+//               the filler reads as bits of words
+// All of them draw from `random`, so seeded boards stay reproducible.
+
+/**
+ * Returns a random letter from the alphabet of the headline's language.
+ * Used by the 'uniform' decoys.
+ */
+function getRandomCharacter() {
+  const alphabet = LANGUAGE_ALPHABETS[headlineLanguage] || LANGUAGE_ALPHABETS[DEFAULT_LANGUAGE];
+  return alphabet[Math.floor(random() * alphabet.length)];
+}
+
+/**
+ * Returns a function that draws a letter with the given weights
+ * ({ A: 12.2, B: 0.3, ... }). Letters with no weight are never drawn.
+ */
+function createWeightedLetterPicker(weights) {
+  const letters = Object.keys(weights).filter(letter => weights[letter] > 0);
+  const cumulative = [];
+  let total = 0;
+  for (const letter of letters) {
+    total += weights[letter];
+    cumulative.push(total);
+  }
+
+  return () => {
+    const target = random() * total;
+    const index = cumulative.findIndex(sum => target < sum);
+    return letters[index === -1 ? letters.length - 1 : index];
+  };
+}
+
+/**
+ * Works out the weights for the 'headline' decoys: the share of each
+ * letter in the headline, with DECOY_HEADLINE_BLEND of the language's
+ * frequencies mixed in so short headlines still have variety.
+ */
+function getHeadlineLetterWeights(text, language) {
+  const frequencies = LETTER_FREQUENCIES[language] || LETTER_FREQUENCIES[DEFAULT_LANGUAGE];
+  const counts = {};
+  let letterCount = 0;
+  for (const char of text) {
+    if (frequencies[char] === undefined) continue;
+    counts[char] = (counts[char] || 0) + 1;
+    letterCount++;
+  }
+
+  const weights = {};
+  for (const letter of Object.keys(frequencies)) {
+    const headlineShare = letterCount > 0 ? (counts[letter] || 0) / letterCount * 100 : frequencies[letter];
+    weights[letter] = (1 - DECOY_HEADLINE_BLEND) * headlineShare + DECOY_HEADLINE_BLEND * frequencies[letter];
+  }
+  return weights;
+}
+
+/**
+ * Lists, for each letter, the letters that follow it in the headline's
+ * words and in the language's COMMON_BIGRAMS ({ A: ['N', 'I', ...] }).
+ * A pair that occurs more often is listed more often.
+ */
+function findBigramFollowers(rows, language) {
+  const alphabet = LANGUAGE_ALPHABETS[language] || LANGUAGE_ALPHABETS[DEFAULT_LANGUAGE];
+  const followers = {};
+  const addPair = (first, second) => {
+    if (!alphabet.includes(first) || !alphabet.includes(second)) return;
+    (followers[first] = followers[first] || []).push(second);
+  };
+
+  for (const row of rows) {
+    for (let i = 1; i < row.length; i++) {
+      addPair(row[i - 1], row[i]);
+    }
+  }
+  for (const pair of COMMON_BIGRAMS[language] || []) {
+    addPair(pair[0], pair[1]);
+  }
+  return followers;
+}
+
+/**
+ * Returns the decoy letter picker for a strategy. The picker is called
+ * with the letter to the left of the cell ('' at the start of a row) and
+ * returns the letter to put in it. rows are the solved board's rows with
+ * '*' padding markers, which is where the headline letters are read from.
+ */
+function createDecoyPicker(strategy, rows, language) {
+  if (strategy === 'frequency') {
+    const pick = createWeightedLetterPicker(LETTER_FREQUENCIES[language] || LETTER_FREQUENCIES[DEFAULT_LANGUAGE]);
+    return () => pick();
+  }
+  if (strategy === 'headline' || strategy === 'bigrams') {
+    const pick = createWeightedLetterPicker(getHeadlineLetterWeights(rows.join(''), language));
+    if (strategy === 'headline') return () => pick();
+
+    const followers = findBigramFollowers(rows, language);
+    return (previous) => {
+      const options = followers[previous];
+      if (options && random() < DECOY_BIGRAM_CHANCE) {
+        return options[Math.floor(random() * options.length)];
+      }
+      return pick();
+    };
+  }
+  return () => getRandomCharacter();
+}
+
+
+// ============================================================
+// GRID BUILDING & MANIPULATION
+// ============================================================
+
+/**
+ * Finds the longest row in the matrix (needed for padding).
+ */
+function findLongestRow(matrix) {
+  let longest = 0;
+  for (const row of matrix) {
+    if (row.length > longest) longest = row.length;
+  }
+  return longest;
+}
+
+/**
+ * Takes the base matrix of letters and builds a complete game grid.
+ * - Pads shorter rows with '*' markers (alternating left/right)
+ * - Fills the playfield with '*' rows if the headline needed fewer rows
+ * - Adds hidden buffer rows at the bottom (for shuffling mechanics)
+ * - Records which positions are padding vs real letters
+ */
+function buildGrid(baseMatrix, bufferRows = 2) {
+  const longest = findLongestRow(baseMatrix);
+
+  // Make all rows the same length by padding with '*'
+  for (const row of baseMatrix) {
+    if (row.length < longest) {
+      const deficit = longest - row.length;
+      // Alternate padding between start and end for visual balance
+      for (let i = 0; i < deficit; i++) {
+        if (i % 2 === 0) {
+          row.unshift(['*']);
+        } else {
+          row.push(['*']);
+        }
+      }
+    }
+  }
+
+  // Short headlines can split into fewer rows than the playfield has
+  const extraRow = Array(longest).fill(['*']);
+  while (baseMatrix.length < playfieldRows) {
+    baseMatrix.push(extraRow.map(() => ['*']));
+  }
+
+  // Add the hidden all-asterisk rows at the bottom
+  // These give us room to shuffle the columns around
+  for (let i = 0; i < bufferRows; i++) {
+    baseMatrix.push(extraRow.map(() => ['*']));
+  }
+
+  // Remember which positions are padding and what the correct answer is
+  originalAsteriskPositions = [];
+  originalContent = [];
+
+  for (let row = 0; row < playfieldRows; row++) {
+    originalAsteriskPositions[row] = [];
+    originalContent[row] = [];
+    for (let col = 0; col < baseMatrix[row].length; col++) {
+      const char = baseMatrix[row][col][0];
+      originalAsteriskPositions[row][col] = (char === '*');
+      originalContent[row][col] = char; // Store the correct letter/padding
+    }
+  }
+
+  return baseMatrix;
+}
+
+/**
+ * Replaces all padding markers ('*') with decoy letters from pickDecoy
+ * (see createDecoyPicker). Rows are filled left to right, so each decoy
+ * can follow the letter before it.
+ * This makes the padding less obvious and more puzzle-like.
+ */
+function replaceAsterisksWithRandomChars(pickDecoy = getRandomCharacter) {
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[row].length; col++) {
+      if (grid[row][col][0] === '*') {
+        const previous = col > 0 ? grid[row][col - 1][0] : '';
+        grid[row][col][0] = pickDecoy(previous);
+      }
+    }
+  }
+}
+
+/**
+ * Scrambles the board by making random column moves (15-30 by default,
+ * the difficulty preset sets the range).
+ * This is what makes the game challenging!
+ * Returns the number of moves made (used for the star rating).
+ */
+function shuffleBoard(minMoves = 15, maxMoves = 30) {
+  const numCols = grid[0].length;
+  const numRows = grid.length;
+  const shuffleMoves = minMoves + Math.floor(random() * (maxMoves - minMoves)); // Random between min-max
+
+  for (let i = 0; i < shuffleMoves; i++) {
+    // Pick a random column
+    const randomCol = Math.floor(random() * numCols);
+    // Pick a random shift amount
+    const randomShift = 1 + Math.floor(random() * (numRows - 1));
+
+    // Rotate the column (same logic as player moves)
+    const columnValues = grid.map(row => row[randomCol][0]);
+    const shift = randomShift % numRows;
+    const rotated = columnValues.slice(-shift).concat(columnValues.slice(0, -shift));
+
+    for (let r = 0; r < numRows; r++) {
+      grid[r][randomCol][0] = rotated[r];
+    }
+  }
+
+  return shuffleMoves;
+}
+
+
+// ============================================================
+// SOLVER
+// ============================================================
+// A column of n cells (playfield + hidden rows) can be in n rotations.
+// Rotating it by k steps costs min(k, n - k) arrow presses, because the
+// player can go either way round. The solver finds, for every column,
+// which rotations show the right letters and the cheapest of them.
+
+/**
+ * Returns every rotation (0..n-1, in moveColumn's "down" direction) that
+ * puts all real letters of the column in their correct visible cells.
+ * A column with only padding is correct in every rotation.
+ */
+function findCorrectRotations(board, col) {
+  const numRows = board.length;
+  const columnValues = board.map(row => row[col][0]);
+  const rotations = [];
+
+  for (let shift = 0; shift < numRows; shift++) {
+    let allCorrect = true;
+    for (let row = 0; row < playfieldRows; row++) {
+      const char = columnValues[(row - shift + numRows) % numRows];
+      if (!originalAsteriskPositions[row][col] && char !== originalContent[row][col]) {
+        allCorrect = false;
+        break;
+      }
+    }
+    if (allCorrect) rotations.push(shift);
+  }
+
+  return rotations;
+}
+
+/**
+ * Arrow presses needed to rotate a column by `shift` steps.
+ */
+function getRotationCost(shift, numRows) {
+  return Math.min(shift, numRows - shift);
+}
+
+/**
+ * Checks whether a column has any real letters (not only padding).
+ */
+function columnHasLetters(col) {
+  for (let row = 0; row < playfieldRows; row++) {
+    if (!originalAsteriskPositions[row][col]) return true;
+  }
+  return false;
+}
+
+/**
+ * Analyses a board against originalContent:
+ *   columnMoves       - fewest presses to solve each column (0 if locked)
+ *   par               - fewest presses to solve the whole board
+ *   ambiguousColumns  - letter columns with more than one correct rotation
+ * Returns par = Infinity if some column can't be solved at all.
+ */
+function analyzeBoard(board, locked = []) {
+  const numRows = board.length;
+  const columnMoves = [];
+  const ambiguousColumns = [];
+
+  for (let col = 0; col < board[0].length; col++) {
+    if (locked.includes(col)) {
+      columnMoves.push(0);
+      continue;
+    }
+
+    const rotations = findCorrectRotations(board, col);
+    const costs = rotations.map(shift => getRotationCost(shift, numRows));
+    columnMoves.push(costs.length > 0 ? Math.min(...costs) : Infinity);
+
+    if (rotations.length > 1 && columnHasLetters(col)) {
+      ambiguousColumns.push(col);
+    }
+  }
+
+  return {
+    columnMoves: columnMoves,
+    par: columnMoves.reduce((sum, moves) => sum + moves, 0),
+    ambiguousColumns: ambiguousColumns,
+  };
+}
+
+/**
+ * Fills and scrambles the padded grid until the board is neither trivially
+ * close to solved nor ambiguous. Gives up after SOLVER_MAX_ATTEMPTS and
+ * keeps the best board seen (fewest ambiguous columns, then highest par).
+ * Returns { scrambleDepth, par } for the board left in `grid`.
+ */
+function generateBoard(preset) {
+  const template = gridToRows(grid); // Still has the '*' padding markers
+  const pickDecoy = createDecoyPicker(preset.decoys, template, headlineLanguage);
+  let best = null;
+
+  for (let attempt = 0; attempt < SOLVER_MAX_ATTEMPTS; attempt++) {
+    grid = rowsToGrid(template);
+
+    // Replace padding with decoy letters
+    replaceAsterisksWithRandomChars(pickDecoy);
+
+    // Scramble the board
+    const depth = shuffleBoard(preset.scrambleMin, preset.scrambleMax);
+    const analysis = analyzeBoard(grid);
+
+    if (analysis.par >= SOLVER_MIN_PAR && analysis.ambiguousColumns.length === 0) {
+      return { scrambleDepth: depth, par: analysis.par };
+    }
+
+    const isBetter = !best ||
+      analysis.ambiguousColumns.length < best.ambiguous ||
+      (analysis.ambiguousColumns.length === best.ambiguous && analysis.par > best.par);
+    if (isBetter) {
+      best = { rows: gridToRows(grid), ambiguous: analysis.ambiguousColumns.length, par: analysis.par, scrambleDepth: depth };
+    }
+  }
+
+  console.warn(`No ideal board after ${SOLVER_MAX_ATTEMPTS} attempts, using the best one`);
+  grid = rowsToGrid(best.rows);
+  return { scrambleDepth: best.scrambleDepth, par: best.par };
+}
+
+
+// ============================================================
+// GAME MECHANICS - COLUMN MOVEMENT
+// ============================================================
+
+/**
+ * Rotates the letters of one column in the grid.
+ * Positive shift moves letters down, negative moves them up.
+ */
+function rotateColumn(colIndex, shift) {
+  const numRows = grid.length;
+
+  // Extract all letters from this column
+  const columnValues = grid.map(row => row[colIndex][0]);
+
+  // Normalize the shift amount (handle negative shifts properly)
+  shift = ((shift % numRows) + numRows) % numRows;
+
+  // Rotate the column values
+  const rotated = columnValues.slice(-shift).concat(columnValues.slice(0, -shift));
+
+  // Put the rotated values back into the grid
+  for (let r = 0; r < numRows; r++) {
+    grid[r][colIndex][0] = rotated[r];
+  }
+}
+
+/**
+ * Rotates a column up or down.
+ * Letters wrap around (top letter goes to bottom when moving up, etc).
+ * Pass animate = false when the letters are already where they should be
+ * on screen (e.g. at the end of a drag).
+ */
+function moveColumn(colIndex, shift, animate = true) {
+  // Don't allow moving locked columns, or anything once the puzzle is solved
+  if (lockedColumns.includes(colIndex) || gameWon || gameGivenUp || isReplaying) {
+    return;
+  }
+
+  // Count the move and start the clock on the first one
+  moveCount++;
+  startTimerIfNeeded();
+  updateStatsDisplay();
+
+  const wasCorrect = isColumnCorrect(colIndex);
+  rotateColumn(colIndex, shift);
+  focusedColumn = colIndex;
+
+  // A new move makes the undone moves unreachable
+  moveHistory.push({ type: 'move', col: colIndex, shift: shift });
+  redoStack = [];
+  updateHistoryButtons();
+
+  // Update the display and check if player won
+  saveGameState();
+  renderGrid();
+  if (animate) animateColumnSlide(colIndex, shift);
+  announceColumn(colIndex, wasCorrect);
+  checkWin();
+}
+
+
+// ============================================================
+// MOVE HISTORY - UNDO, REDO & REPLAY
+// ============================================================
+// Every arrow press and every hint is pushed to moveHistory.
+// Rules:
+// - Undo and redo count as moves, since they rotate a column like an arrow.
+// - Hints are permanent. A hinted column stays locked and the hint stays
+//   spent, so undo stops at the most recent hint: moves made before it
+//   can no longer be undone.
+// - After a win the history can be replayed from the scrambled board.
+
+/**
+ * Can the last move be undone? Not past a hint, and not after winning.
+ */
+function canUndo() {
+  const lastEntry = moveHistory[moveHistory.length - 1];
+  return !gameWon && !gameGivenUp && !isReplaying && lastEntry !== undefined && lastEntry.type === 'move';
+}
+
+/**
+ * Can an undone move be applied again?
+ */
+function canRedo() {
+  return !gameWon && !gameGivenUp && !isReplaying && redoStack.length > 0;
+}
+
+/**
+ * Takes back the last column move.
+ */
+function undoMove() {
+  if (!canUndo()) return;
+
+  const entry = moveHistory.pop();
+  redoStack.push(entry);
+  const wasCorrect = isColumnCorrect(entry.col);
+  rotateColumn(entry.col, -entry.shift);
+  focusedColumn = entry.col;
+
+  moveCount++;
+  updateStatsDisplay();
+  updateHistoryButtons();
+  saveGameState();
+  renderGrid();
+  animateColumnSlide(entry.col, -entry.shift);
+  announceColumn(entry.col, wasCorrect);
+  checkWin();
+}
+
+/**
+ * Applies the most recently undone move again.
+ */
+function redoMove() {
+  if (!canRedo()) return;
+
+  const entry = redoStack.pop();
+  moveHistory.push(entry);
+  const wasCorrect = isColumnCorrect(entry.col);
+  rotateColumn(entry.col, entry.shift);
+  focusedColumn = entry.col;
+
+  moveCount++;
+  updateStatsDisplay();
+  updateHistoryButtons();
+  saveGameState();
+  renderGrid();
+  animateColumnSlide(entry.col, entry.shift);
+  announceColumn(entry.col, wasCorrect);
+  checkWin();
+}
+
+/**
+ * Clears the history for a new game and remembers the scrambled board.
+ */
+function resetMoveHistory() {
+  moveHistory = [];
+  redoStack = [];
+  initialGrid = grid.map(row => row.map(cell => [cell[0]]));
+  stopReplay();
+  updateHistoryButtons();
+}
+
+/**
+ * Enables or disables the undo and redo buttons.
+ */
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+
+  const giveUpBtn = document.getElementById("giveUpBtn");
+
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
+  if (giveUpBtn) giveUpBtn.disabled = !canGiveUp();
+}
+
+/**
+ * Plays the solution back after a win: starts from the scrambled board
+ * and applies every recorded move and hint, one step at a time.
+ */
+function replaySolution() {
+  if (!gameWon || isReplaying || moveHistory.length === 0) return;
+
+  isReplaying = true;
+  const solvedGrid = grid;
+  grid = initialGrid.map(row => row.map(cell => [cell[0]]));
+  renderGrid();
+
+  let step = 0;
+  replayTimer = setInterval(() => {
+    const entry = moveHistory[step];
+    rotateColumn(entry.col, entry.shift);
+    lastHintedColumn = entry.type === 'hint' ? entry.col : -1;
+    renderGrid();
+    animateColumnSlide(entry.col, entry.shift);
+    step++;
+
+    if (step >= moveHistory.length) {
+      clearInterval(replayTimer);
+      replayTimer = setTimeout(() => {
+        grid = solvedGrid;
+        lastHintedColumn = -1;
+        replayTimer = null;
+        isReplaying = false;
+        renderGrid();
+      }, 600);
+    }
+  }, 400);
+}
+
+/**
+ * Stops a running replay where it is. Called when a new board replaces
+ * the solved one, so the replay can't draw over it.
+ */
+function stopReplay() {
+  clearTimeout(replayTimer); // Intervals and timeouts share their ids
+  replayTimer = null;
+  isReplaying = false;
+}
+
+
+// ============================================================
+// RENDERING FUNCTIONS
+// ============================================================
+
+/**
+ * Should animations be skipped? Follows the player's system setting.
+ */
+function prefersReducedMotion() {
+  return window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+}
+
+/**
+ * Is this an http(s) address? Links and images from feeds, packs and
+ * imported files are checked before they go on the page.
+ */
+function isWebAddress(url) {
+  return /^https?:\/\//i.test(url || '');
+}
+
+/**
+ * Creates an element holding plain text. Text that comes from outside the
+ * game (feeds, level packs, saved data) is only ever put on the page this
+ * way, never as HTML.
+ */
+function createTextElement(tag, text, className = '') {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Creates a link to an article that opens in a new tab, or just the text
+ * when the address is missing or not http(s).
+ */
+function createArticleLink(text, url) {
+  if (!isWebAddress(url)) {
+    return document.createTextNode(text);
+  }
+  const link = createTextElement("a", text);
+  link.href = url;
+  link.target = "_blank";
+  link.rel = "noopener";
+  return link;
+}
+
+/**
+ * Creates a table row with one cell (th or td) of plain text per value.
+ */
+function createTableRow(cellTag, values) {
+  const row = document.createElement("tr");
+  for (const value of values) {
+    row.appendChild(createTextElement(cellTag, value));
+  }
+  return row;
+}
+
+/**
+ * Creates one total of a summary row: the value in bold above its label.
+ */
+function createTotal(value, label) {
+  const total = document.createElement("div");
+  total.append(createTextElement("strong", String(value)), ` ${label}`);
+  return total;
+}
+
+/**
+ * Creates the table rows and cells for the current board size.
+ * Each cell holds its letter in a <span> so the letter can slide
+ * inside the cell when the column rotates.
+ */
+function buildGridCells(table, numCols) {
+  table.innerHTML = "";
+  gridCells = [];
+
+  for (let rowIndex = 0; rowIndex < playfieldRows; rowIndex++) {
+    const tr = document.createElement("tr");
+    tr.setAttribute("role", "row");
+    tr.setAttribute("aria-rowindex", rowIndex + 1);
+    gridCells[rowIndex] = [];
+
+    for (let colIndex = 0; colIndex < numCols; colIndex++) {
+      const td = document.createElement("td");
+      td.setAttribute("role", "gridcell");
+      td.setAttribute("aria-colindex", colIndex + 1);
+
+      const letter = document.createElement("span");
+      letter.className = "cell-letter";
+      td.appendChild(letter);
+
+      tr.appendChild(td);
+      gridCells[rowIndex][colIndex] = td;
+    }
+    table.appendChild(tr);
+  }
+}
+
+/**
+ * Draws the game grid on the screen.
+ * Letters in their correct positions are shown bright.
+ * Letters that are padding or out of place are dimmed.
+ * The cells are created once per board and only updated afterwards,
+ * which keeps them in place for the slide animations.
+ */
+function renderGrid() {
+  const table = document.getElementById("grid");
+  const numCols = grid[0].length;
+  const dimPadding = DIFFICULTY_PRESETS[currentDifficulty].dimPadding;
+  const showWin = gameWon && !isReplaying;
+  const assistLevel = getAssistLevel();
+
+  // Rebuild only when the board size changed or the table was cleared
+  const sameShape = gridCells.length === playfieldRows &&
+    gridCells[0].length === numCols && table.contains(gridCells[0][0]);
+  if (!sameShape) {
+    buildGridCells(table, numCols);
+  }
+
+  // Only show the playfield rows (not the hidden bottom rows)
+  for (let rowIndex = 0; rowIndex < playfieldRows; rowIndex++) {
+    for (let colIndex = 0; colIndex < numCols; colIndex++) {
+      const td = gridCells[rowIndex][colIndex];
+      const isPadding = originalAsteriskPositions[rowIndex] && originalAsteriskPositions[rowIndex][colIndex];
+      const classes = [];
+
+      td.firstChild.textContent = grid[rowIndex][colIndex][0];
+      td.style.transform = '';
+
+      // Show the keyboard cursor
+      if (colIndex === focusedColumn) {
+        classes.push('focused');
+      }
+      td.setAttribute("aria-selected", colIndex === focusedColumn ? "true" : "false");
+
+      // Highlight the hinted column
+      if (colIndex === lastHintedColumn) {
+        classes.push('hinted');
+      }
+
+      // Highlight columns shown by the "correct columns" hint
+      if (revealedCorrectColumns.includes(colIndex)) {
+        classes.push('revealed-correct');
+      }
+
+      // Correctness assist: solved columns, and with the letter level
+      // every letter that is already in its final place
+      if (assistLevel >= 1 && !showWin && !gameGivenUp && !isPadding) {
+        if (isColumnCorrect(colIndex)) {
+          classes.push('assist-column');
+        } else if (assistLevel >= 2 && grid[rowIndex][colIndex][0] === originalContent[rowIndex][colIndex]) {
+          classes.push('assist-letter');
+        }
+      }
+
+      // Dim cells that are padding positions (if the difficulty allows it)
+      if (dimPadding && isPadding) {
+        classes.push('dimmed');
+      }
+
+      // Light up the solved headline, one row after another
+      if (showWin && !isPadding) {
+        classes.push('win-reveal');
+        td.style.setProperty('--reveal-row', rowIndex);
+      }
+
+      td.className = classes.join(' ');
+    }
+  }
+}
+
+/**
+ * Slides the letters of a column in from the direction it rotated.
+ * Each letter enters its cell from above (moving down) or below (moving
+ * up), so wrapped letters look the same as the rest. Skipped when the
+ * player prefers reduced motion.
+ */
+function animateColumnSlide(col, shift) {
+  if (shift === 0 || prefersReducedMotion()) return;
+
+  const startOffset = shift > 0 ? '-100%' : '100%';
+  for (let row = 0; row < playfieldRows; row++) {
+    const letter = gridCells[row][col].firstChild;
+    letter.style.transition = 'none';
+    letter.style.transform = `translateY(${startOffset})`;
+    void letter.offsetHeight; // Apply the start position before animating
+    letter.style.transition = '';
+    letter.style.transform = '';
+  }
+}
+
+/**
+ * Creates the up and down arrow buttons for each column.
+ * Players click these to rotate the columns.
+ */
+function renderArrows() {
+  const upArrows = document.getElementById("upArrows");
+  const downArrows = document.getElementById("downArrows");
+
+  upArrows.innerHTML = "";
+  downArrows.innerHTML = "";
+
+  const numCols = grid[0].length;
+
+  for (let col = 0; col < numCols; col++) {
+    // Up arrow button
+    const upBtn = document.createElement("button");
+    upBtn.className = "arrow-btn";
+    
+    // Add visual states
+    if (col === lastHintedColumn) {
+      upBtn.classList.add('hinted');
+    }
+    if (lockedColumns.includes(col)) {
+      upBtn.classList.add('locked');
+      upBtn.disabled = true;
+    }
+    
+    upBtn.textContent = "▲";
+    upBtn.setAttribute("aria-label", t('grid.up', { col: col + 1 }));
+    upBtn.onclick = () => moveColumn(col, -1); // Negative = move up
+    upArrows.appendChild(upBtn);
+
+    // Down arrow button
+    const downBtn = document.createElement("button");
+    downBtn.className = "arrow-btn";
+    
+    // Add visual states
+    if (col === lastHintedColumn) {
+      downBtn.classList.add('hinted');
+    }
+    if (lockedColumns.includes(col)) {
+      downBtn.classList.add('locked');
+      downBtn.disabled = true;
+    }
+    
+    downBtn.textContent = "▼";
+    downBtn.setAttribute("aria-label", t('grid.down', { col: col + 1 }));
+    downBtn.onclick = () => moveColumn(col, 1); // Positive = move down
+    downArrows.appendChild(downBtn);
+  }
+}
+
+
+// ============================================================
+// KEYBOARD & SCREEN READER CONTROLS
+// ============================================================
+// The whole game can be played without a mouse:
+//   ← / →        move the column cursor
+//   ↑ / ↓, W / S rotate the focused column up / down
+//   1-9, 0       jump to columns 1-10 (Home / End: first / last)
+//   H            open the hint menu (Esc closes it)
+// Screen readers hear the visible letters of the focused column through
+// the #announcer live region, and when a column becomes correct.
+
+/**
+ * Checks whether every real letter of a column is in its correct cell.
+ */
+function isColumnCorrect(col) {
+  for (let row = 0; row < playfieldRows; row++) {
+    if (!originalAsteriskPositions[row][col] && grid[row][col][0] !== originalContent[row][col]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Reads a message out through the screen reader live region.
+ */
+function announce(text) {
+  const announcer = document.getElementById("announcer");
+  if (!announcer) return;
+
+  // Clearing first makes the same text get announced again
+  announcer.textContent = "";
+  setTimeout(() => {
+    announcer.textContent = text;
+  }, 50);
+}
+
+/**
+ * Announces the visible letters of a column, and whether it just became
+ * correct. wasCorrect is the column's state before the move (if any).
+ */
+function announceColumn(col, wasCorrect = true) {
+  const letters = [];
+  for (let row = 0; row < playfieldRows; row++) {
+    letters.push(grid[row][col][0]);
+  }
+
+  let text = t('announce.column', { col: col + 1, letters: letters.join(', ') });
+  if (lockedColumns.includes(col)) {
+    text += t('announce.locked');
+  }
+  if (!wasCorrect && isColumnCorrect(col) && columnHasLetters(col)) {
+    text += t('announce.nowCorrect');
+  }
+  announce(text);
+}
+
+/**
+ * Moves the keyboard cursor to a column (clamped to the board).
+ */
+function focusColumn(col) {
+  focusedColumn = Math.max(0, Math.min(col, grid[0].length - 1));
+  renderGrid();
+  announceColumn(focusedColumn);
+}
+
+/**
+ * Rotates the focused column, or explains why it can't be moved.
+ */
+function rotateFocusedColumn(shift) {
+  if (lockedColumns.includes(focusedColumn)) {
+    announce(t('announce.columnLocked', { col: focusedColumn + 1 }));
+    return;
+  }
+  moveColumn(focusedColumn, shift);
+}
+
+/**
+ * Opens the hint menu and puts keyboard focus on its first usable button.
+ */
+function openHintMenuFromKeyboard() {
+  const hintMenu = document.getElementById("hintMenu");
+  hintMenu.hidden = false;
+
+  const firstEnabled = hintMenu.querySelector(".hint-tier-btn:not(:disabled)");
+  if (firstEnabled) {
+    firstEnabled.focus();
+  } else {
+    announce(t('announce.noHintPoints'));
+  }
+}
+
+/**
+ * Is the key event aimed at a form field or editable text? Those keep the
+ * browser's own keys, text undo included.
+ */
+function isTypingTarget(target) {
+  const tag = target.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return true;
+  return Boolean(target.closest && target.closest('[contenteditable]:not([contenteditable="false"])'));
+}
+
+/**
+ * Handles the game's keyboard shortcuts (see the list at the top of this section).
+ */
+function handleGameKey(event) {
+  // Leave typing in form fields and browser shortcuts alone
+  if (isTypingTarget(event.target)) return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (grid.length === 0) return;
+
+  const key = event.key.toLowerCase();
+  const numCols = grid[0].length;
+
+  if (key === 'arrowleft') {
+    focusColumn(focusedColumn - 1);
+  } else if (key === 'arrowright') {
+    focusColumn(focusedColumn + 1);
+  } else if (key === 'home') {
+    focusColumn(0);
+  } else if (key === 'end') {
+    focusColumn(numCols - 1);
+  } else if (key === 'arrowup' || key === 'w') {
+    rotateFocusedColumn(-1);
+  } else if (key === 'arrowdown' || key === 's') {
+    rotateFocusedColumn(1);
+  } else if (/^[0-9]$/.test(key)) {
+    const col = key === '0' ? 9 : Number(key) - 1;
+    if (col < numCols) focusColumn(col);
+  } else if (key === 'h') {
+    openHintMenuFromKeyboard();
+  } else if (key === 'escape') {
+    document.getElementById("hintMenu").hidden = true;
+    document.getElementById("grid").focus();
+  } else {
+    return;
+  }
+
+  // Don't scroll the page with the arrow keys
+  event.preventDefault();
+}
+
+
+// ============================================================
+// TOUCH & DRAG CONTROLS
+// ============================================================
+// A column can be rotated by dragging it up or down (finger, pen or
+// mouse). While dragging, the letters follow the pointer and wrap around;
+// on release the column snaps to the nearest row. Each row the column
+// moved counts as one move, just like pressing the arrow that many times.
+
+/**
+ * Returns the visible cells of one column, top to bottom.
+ */
+function getColumnCells(col) {
+  return Array.from(document.querySelectorAll(`#grid td[aria-colindex="${col + 1}"]`));
+}
+
+/**
+ * Plays a short "no" shake on a column that can't be moved.
+ */
+function refuseColumnDrag(col) {
+  getColumnCells(col).forEach(td => {
+    td.classList.remove('refused');
+    void td.offsetWidth; // Restart the animation if it's already running
+    td.classList.add('refused');
+  });
+  announce(t('announce.columnLocked', { col: col + 1 }));
+}
+
+/**
+ * Starts dragging the column under the pointer.
+ */
+function handleGridPointerDown(event) {
+  const td = event.target.closest("td");
+  if (!td || grid.length === 0 || gameWon || gameGivenUp || isReplaying) return;
+
+  const col = Number(td.getAttribute("aria-colindex")) - 1;
+  focusedColumn = col;
+
+  if (lockedColumns.includes(col)) {
+    refuseColumnDrag(col);
+    return;
+  }
+
+  // Row height including the table's border spacing
+  const rows = document.querySelectorAll("#grid tr");
+  const rowHeight = rows.length > 1
+    ? rows[1].getBoundingClientRect().top - rows[0].getBoundingClientRect().top
+    : td.getBoundingClientRect().height;
+
+  activeDrag = { col: col, startY: event.clientY, rowHeight: rowHeight || 1, steps: 0 };
+  getColumnCells(col).forEach(cell => cell.classList.add('dragging'));
+  event.currentTarget.setPointerCapture(event.pointerId);
+}
+
+/**
+ * Moves the letters of the dragged column with the pointer.
+ * The letters are rotated by whole rows and the rest of the distance is
+ * shown as an offset, so the column looks like it slides and wraps.
+ */
+function handleGridPointerMove(event) {
+  if (!activeDrag) return;
+
+  const distance = event.clientY - activeDrag.startY;
+  const steps = Math.round(distance / activeDrag.rowHeight);
+  const offset = distance - steps * activeDrag.rowHeight;
+  activeDrag.steps = steps;
+
+  const numRows = grid.length;
+  const columnValues = grid.map(row => row[activeDrag.col][0]);
+
+  getColumnCells(activeDrag.col).forEach((td, row) => {
+    const sourceRow = (((row - steps) % numRows) + numRows) % numRows;
+    td.firstChild.textContent = columnValues[sourceRow];
+    td.style.transform = `translateY(${offset}px)`;
+  });
+}
+
+/**
+ * Ends the drag and snaps the column to the nearest row.
+ */
+function handleGridPointerUp() {
+  if (!activeDrag) return;
+
+  const drag = activeDrag;
+  activeDrag = null;
+
+  if (drag.steps === 0) {
+    // A tap just moves the keyboard cursor here
+    renderGrid();
+    return;
+  }
+
+  const direction = drag.steps > 0 ? 1 : -1;
+  for (let i = 0; i < Math.abs(drag.steps); i++) {
+    moveColumn(drag.col, direction, false);
+  }
+}
+
+/**
+ * Puts the column back if the browser takes over the gesture.
+ */
+function handleGridPointerCancel() {
+  activeDrag = null;
+  renderGrid();
+}
+
+
+// ============================================================
+// HINT SYSTEM
+// ============================================================
+
+/**
+ * Finds all columns that have at least one letter in the wrong position.
+ */
+function findIncorrectColumns() {
+  const incorrectColumns = [];
+  
+  for (let col = 0; col < grid[0].length; col++) {
+    let hasIncorrectLetter = false;
+    
+    for (let row = 0; row < playfieldRows; row++) {
+      // Skip padding positions
+      if (!originalAsteriskPositions[row][col]) {
+        const currentChar = grid[row][col][0];
+        const correctChar = originalContent[row][col];
+        
+        if (currentChar !== correctChar) {
+          hasIncorrectLetter = true;
+          break;
+        }
+      }
+    }
+    
+    if (hasIncorrectLetter) {
+      incorrectColumns.push(col);
+    }
+  }
+
+  return incorrectColumns;
+}
+
+/**
+ * Finds how many steps down a column must rotate to put all its visible
+ * letters in place, or -1 if no rotation does.
+ */
+function findSolvingShift(col) {
   const numRows = grid.length;
+  const columnValues = grid.map(row => row[col][0]);
+
+  for (let shift = 0; shift < numRows; shift++) {
+    const rotated = columnValues.slice(-shift).concat(columnValues.slice(0, -shift));
+
+    // Check if this shift makes all visible letters correct
+    let allCorrect = true;
+    for (let row = 0; row < playfieldRows; row++) {
+      if (!originalAsteriskPositions[row][col] && rotated[row] !== originalContent[row][col]) {
+        allCorrect = false;
+        break;
+      }
+    }
+    if (allCorrect) return shift;
+  }
+  return -1;
+}
+
+/**
+ * Automatically fixes one incorrectly positioned column and locks it.
+ * Returns false if there was no incorrect column to fix.
+ */
+function solveOneColumn() {
+  const incorrectColumns = findIncorrectColumns();
+
+  // If no incorrect columns, nothing to hint
+  if (incorrectColumns.length === 0) {
+    return false;
+  }
+
+  // Pick a random incorrect column to fix
+  const colToFix = incorrectColumns[Math.floor(Math.random() * incorrectColumns.length)];
+  const shift = findSolvingShift(colToFix);
+  if (shift >= 0) {
+    rotateColumn(colToFix, shift);
+    moveHistory.push({ type: 'hint', col: colToFix, shift: shift });
+  }
+
+  // Hints can't be undone, so the undone moves are gone too
+  redoStack = [];
+  updateHistoryButtons();
+
+  // Store which column was hinted for visualization and lock it
+  lastHintedColumn = colToFix;
+  lockedColumns.push(colToFix);
+
+  return true;
+}
+
+/**
+ * Highlights, for a moment, the columns that are already correct.
+ */
+function revealCorrectColumns() {
+  const incorrectColumns = findIncorrectColumns();
+  revealedCorrectColumns = [];
+
+  for (let col = 0; col < grid[0].length; col++) {
+    if (!incorrectColumns.includes(col) && columnHasLetters(col)) {
+      revealedCorrectColumns.push(col);
+    }
+  }
+}
+
+/**
+ * Builds the text of a one-time hint about the headline.
+ */
+function buildHintText(tierKey) {
+  const words = currentHeadline.split(/\s+/).filter(word => word.length > 0);
+
+  if (tierKey === 'wordCount') {
+    return t('hint.wordCount', { count: words.length });
+  }
+  if (tierKey === 'section') {
+    return t('hint.section', { section: currentSection || getCategoryLabel(currentCategory) });
+  }
+  if (tierKey === 'firstLetters') {
+    return t('hint.firstLetters', { letters: words.map(word => word[0] + '…').join(' ') });
+  }
+  return '';
+}
+
+/**
+ * Can the player buy this hint tier right now?
+ */
+function canUseHint(tierKey) {
+  const tier = HINT_TIERS[tierKey];
+  if (!tier || grid.length === 0 || gameWon || gameGivenUp || isReplaying) return false;
+  if (hintsRemaining < tier.cost) return false;
+  if (tier.once && revealedHints[tierKey]) return false;
+  return true;
+}
+
+/**
+ * Spends hint points on one of the HINT_TIERS (solving a column by default).
+ */
+function useHint(tierKey = 'solveColumn') {
+  if (!canUseHint(tierKey)) {
+    return;
+  }
+
+  if (tierKey === 'solveColumn') {
+    if (!solveOneColumn()) return;
+  } else if (tierKey === 'correctColumns') {
+    revealCorrectColumns();
+  } else {
+    revealedHints[tierKey] = buildHintText(tierKey);
+  }
+
+  // Spend the points and update display
+  const cost = HINT_TIERS[tierKey].cost;
+  hintsRemaining -= cost;
+  hintPointsUsed += cost;
+  hintsUsed++;
+  if (timeAttack) chargeTimeAttackHint(cost);
+  startTimerIfNeeded();
+  updateHintDisplay();
+  updateStatsDisplay();
+  renderHintInfo();
+  document.getElementById("hintMenu").hidden = true;
+  
+  // Update the grid and check for win
+  saveGameState();
+  renderGrid();
+  if (tierKey === 'solveColumn') animateColumnSlide(lastHintedColumn, 1);
+  renderArrows();
+  checkWin();
+  
+  // Remove the highlights after 2 seconds (but keep hinted columns locked)
+  setTimeout(() => {
+    lastHintedColumn = -1;
+    revealedCorrectColumns = [];
+    renderGrid();
+    renderArrows();
+  }, 2000);
+}
+
+/**
+ * Shows the one-time hints bought so far under the hint counter.
+ */
+function renderHintInfo() {
+  const hintInfo = document.getElementById("hintInfo");
+  if (!hintInfo) return;
+
+  hintInfo.innerHTML = "";
+  for (const tierKey of Object.keys(revealedHints)) {
+    const line = document.createElement("div");
+    line.textContent = revealedHints[tierKey];
+    hintInfo.appendChild(line);
+  }
+}
+
+/**
+ * Builds the hint menu buttons, one per tier with its cost.
+ */
+function renderHintMenu() {
+  const hintMenu = document.getElementById("hintMenu");
+  hintMenu.innerHTML = "";
+
+  for (const tierKey of Object.keys(HINT_TIERS)) {
+    const tier = HINT_TIERS[tierKey];
+    const button = document.createElement("button");
+    button.className = "hint-tier-btn";
+    button.dataset.tier = tierKey;
+    button.textContent = t('hints.tierButton', { label: t(`hintTier.${tierKey}`), cost: tier.cost });
+    button.onclick = () => useHint(tierKey);
+    hintMenu.appendChild(button);
+  }
+
+  updateHintDisplay();
+}
+
+/**
+ * Opens or closes the hint menu.
+ */
+function toggleHintMenu() {
+  const hintMenu = document.getElementById("hintMenu");
+  hintMenu.hidden = !hintMenu.hidden;
+}
+
+/**
+ * Updates the hint point display and enables/disables the hint buttons
+ */
+function updateHintDisplay() {
+  const hintCountElement = document.getElementById("hintCount");
+  const hintBtn = document.getElementById("hintBtn");
+  
+  if (hintCountElement) {
+    hintCountElement.textContent = hintsRemaining;
+  }
+  
+  if (hintBtn) {
+    hintBtn.disabled = !Object.keys(HINT_TIERS).some(canUseHint);
+  }
+
+  document.querySelectorAll(".hint-tier-btn").forEach(button => {
+    button.disabled = !canUseHint(button.dataset.tier);
+  });
+}
+
+
+// ============================================================
+// CORRECTNESS ASSIST
+// ============================================================
+// An optional learning aid: solved columns are marked on the board, and on
+// the letter level so is every letter that is already in place. The level
+// is remembered between visits, but switching it on during a game marks
+// the game as assisted (assistUsed) even if it is switched off again, and
+// the star rating drops by that level's starPenalty.
+
+/**
+ * Returns how strong an assist level is (0 = off), so levels can be compared.
+ */
+function getAssistLevel(mode = assistMode) {
+  return Math.max(0, Object.keys(ASSIST_MODES).indexOf(mode));
+}
+
+/**
+ * Reads the assist level the player chose last time.
+ */
+function loadAssistMode() {
+  try {
+    const saved = localStorage.getItem(ASSIST_STORAGE_KEY);
+    if (Object.hasOwn(ASSIST_MODES, saved)) return saved;
+  } catch (error) {
+    console.warn("Could not read assist setting:", error);
+  }
+  return 'off';
+}
+
+/**
+ * Remembers the assist level for future visits.
+ */
+function saveAssistMode() {
+  try {
+    localStorage.setItem(ASSIST_STORAGE_KEY, assistMode);
+  } catch (error) {
+    console.warn("Could not save assist setting:", error);
+  }
+}
+
+/**
+ * Records the current assist level against the game in progress.
+ * Only ever raises assistUsed; a solved game is no longer affected.
+ */
+function noteAssistUse() {
+  if (gameWon || gameGivenUp) return;
+  if (getAssistLevel(assistMode) > getAssistLevel(assistUsed)) {
+    assistUsed = assistMode;
+  }
+}
+
+/**
+ * Switches the assist level from the dropdown and redraws the board.
+ */
+function setAssistMode(mode) {
+  if (!Object.hasOwn(ASSIST_MODES, mode)) return;
+  assistMode = mode;
+  saveAssistMode();
+
+  if (grid.length === 0) return;
+  noteAssistUse();
+  updateStatsDisplay();
+  renderGrid();
+  saveGameState();
+}
+
+
+// ============================================================
+// MOVE COUNTER, TIMER & RATING
+// ============================================================
+
+/**
+ * Formats milliseconds as m:ss.
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Returns how long the current game has been played (0 before the first move).
+ */
+function getElapsedTime() {
+  if (gameStartTime === null) return 0;
+  return (gameEndTime || Date.now()) - gameStartTime;
+}
+
+/**
+ * Starts the clock if this is the first move of the game.
+ */
+function startTimerIfNeeded() {
+  if (gameStartTime !== null) return;
+
+  gameStartTime = Date.now();
+  timerInterval = setInterval(updateStatsDisplay, 1000);
+}
+
+/**
+ * Stops the on-screen clock (the elapsed time is kept).
+ */
+function stopTimer() {
+  clearInterval(timerInterval);
+  timerInterval = null;
+}
+
+/**
+ * Clears moves, hints and time for a new game.
+ */
+function resetGameStats() {
+  stopTimer();
+  moveCount = 0;
+  hintsUsed = 0;
+  hintPointsUsed = 0;
+  assistUsed = 'off';
+  gameStartTime = null;
+  gameEndTime = null;
+  gameWon = false;
+  gameGivenUp = false;
+  gameRecorded = false;
+  updateStatsDisplay();
+}
+
+/**
+ * Rates the solve from 1 to 3 stars by comparing the moves made with the
+ * scramble depth: solving in at most as many moves as the scramble took
+ * earns 3 stars, within twice as many 2 stars, otherwise 1 star.
+ * One scramble move can shift a column several steps, so the par is used
+ * instead when it is higher - an optimal solve always earns 3 stars.
+ * Using any hints takes one star off (never below 1).
+ */
+function calculateStarRating() {
+  const target = Math.max(scrambleDepth, parMoves);
+
+  let stars = 1;
+  if (moveCount <= target) {
+    stars = 3;
+  } else if (moveCount <= target * 2) {
+    stars = 2;
+  }
+
+  if (hintsUsed > 0) {
+    stars = Math.max(1, stars - 1);
+  }
+
+  // Playing with the correctness assist on costs stars too
+  stars = Math.max(1, stars - ASSIST_MODES[assistUsed].starPenalty);
+
+  return stars;
+}
+
+/**
+ * Formats a star rating as ★★☆.
+ */
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+/**
+ * Updates the move counter and clock shown above the grid.
+ */
+function updateStatsDisplay() {
+  const statsElement = document.getElementById("gameStats");
+  if (!statsElement) return;
+
+  let text = t('game.stats', { moves: moveCount, time: formatTime(getElapsedTime()) });
+  if (assistUsed !== 'off') {
+    text += ` · ${t('game.assist', { assist: t(`assist.${assistUsed}`) })}`;
+  }
+  statsElement.textContent = text;
+}
+
+
+// ============================================================
+// PERSISTENT STATISTICS
+// ============================================================
+// Every finished game is stored in localStorage as one record:
+//   { finishedAt, day, category, difficulty, headlineLength, moves, par, time,
+//     hintsUsed, hintPoints, stars, won, gaveUp, daily }
+// A game counts as given up when the player starts a new one after
+// making moves without solving it.
+
+/**
+ * Loads the saved statistics, or an empty history if there are none.
+ */
+function loadStats() {
+  try {
+    const stats = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+    if (stats && Array.isArray(stats.games)) {
+      return stats;
+    }
+  } catch (error) {
+    console.warn("Could not read statistics:", error);
+  }
+  return { version: STATS_VERSION, games: [] };
+}
+
+/**
+ * Saves the statistics to localStorage.
+ */
+function saveStats(stats) {
+  try {
+    localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.warn("Could not save statistics:", error);
+  }
+}
+
+/**
+ * Adds the current game to the statistics (only once per game).
+ */
+function recordFinishedGame(gaveUp) {
+  if (gameRecorded || grid.length === 0) return;
+  gameRecorded = true;
+
+  const stats = loadStats();
+  stats.games.push({
+    finishedAt: Date.now(),
+    day: getTodayString(),
+    category: currentCategory,
+    difficulty: currentDifficulty,
+    headlineLength: currentHeadline.length,
+    moves: moveCount,
+    par: parMoves,
+    time: getElapsedTime(),
+    hintsUsed: hintsUsed,
+    hintPoints: hintPointsUsed,
+    assist: assistUsed,
+    stars: gameWon ? calculateStarRating() : 0,
+    won: gameWon,
+    gaveUp: gaveUp,
+    daily: currentSeed !== '',
+  });
+  saveStats(stats);
+  renderStatsPanel();
+}
+
+/**
+ * Records the current game as given up if the player already started
+ * working on it. Untouched boards are not counted at all.
+ */
+function recordAbandonedGame() {
+  if (!gameWon && (moveCount > 0 || hintsUsed > 0)) {
+    recordFinishedGame(true);
+  }
+}
+
+/**
+ * Counts whole days between two YYYY-MM-DD strings.
+ */
+function daysBetween(fromDay, toDay) {
+  const from = new Date(`${fromDay}T00:00:00`);
+  const to = new Date(`${toDay}T00:00:00`);
+  return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Calculates the current and best daily streak (days in a row with at
+ * least one win). The current streak is still alive if the last win
+ * was yesterday, so it doesn't reset before today's game is played.
+ */
+function calculateStreaks(games) {
+  const winDays = [...new Set(games.filter(game => game.won).map(game => game.day))].sort();
+
+  let best = 0;
+  let run = 0;
+  for (let i = 0; i < winDays.length; i++) {
+    run = (i > 0 && daysBetween(winDays[i - 1], winDays[i]) === 1) ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+
+  const lastWinDay = winDays[winDays.length - 1];
+  const current = lastWinDay && daysBetween(lastWinDay, getTodayString()) <= 1 ? run : 0;
+
+  return { current: current, best: best };
+}
+
+/**
+ * Groups the games by category with totals, averages and star distribution.
+ */
+function summarizeByCategory(games) {
+  const summary = {};
+
+  for (const game of games) {
+    if (!summary[game.category]) {
+      summary[game.category] = { played: 0, won: 0, moves: 0, time: 0, hints: 0, stars: [0, 0, 0, 0] };
+    }
+    const entry = summary[game.category];
+    entry.played++;
+    entry.hints += game.hintsUsed;
+    entry.stars[game.stars || 0]++;
+    if (game.won) {
+      entry.won++;
+      entry.moves += game.moves;
+      entry.time += game.time;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Draws the statistics panel: totals, streaks and a row per category
+ * with a small bar chart of the star ratings (0 = not solved).
+ */
+function renderStatsPanel() {
+  const panel = document.getElementById("statsContent");
+  if (!panel) return;
+
+  const games = loadStats().games;
+  const wins = games.filter(game => game.won).length;
+  const streaks = calculateStreaks(games);
+  const winPercent = games.length > 0 ? Math.round(wins / games.length * 100) : 0;
+
+  const totals = document.createElement("div");
+  totals.className = "stats-totals";
+  totals.append(
+    createTotal(games.length, t('stats.played')),
+    createTotal(`${winPercent} %`, t('stats.won')),
+    createTotal(streaks.current, t('stats.streak')),
+    createTotal(streaks.best, t('stats.bestStreak')),
+  );
+
+  const table = document.createElement("table");
+  table.className = "stats-table";
+  table.appendChild(createTableRow("th", [
+    t('stats.category'), t('stats.games'), t('stats.wins'), t('stats.avgMoves'),
+    t('stats.avgTime'), t('stats.hints'), t('stats.stars'),
+  ]));
+
+  const byCategory = summarizeByCategory(games);
+  for (const category of Object.keys(byCategory)) {
+    const entry = byCategory[category];
+    const avgMoves = entry.won > 0 ? String(Math.round(entry.moves / entry.won)) : '–';
+    const avgTime = entry.won > 0 ? formatTime(entry.time / entry.won) : '–';
+    const row = createTableRow("td", [
+      getCategoryLabel(category), String(entry.played), String(entry.won), avgMoves, avgTime, String(entry.hints),
+    ]);
+
+    const bars = createTextElement("td", '', "stats-bars");
+    entry.stars.forEach((count, stars) => {
+      const bar = createTextElement("span", '', "stats-bar");
+      bar.title = `${stars}★: ${count}`;
+      const fill = document.createElement("span");
+      fill.style.height = `${Math.round(count / entry.played * 100)}%`;
+      bar.appendChild(fill);
+      bars.appendChild(bar);
+    });
+    row.appendChild(bars);
+    table.appendChild(row);
+  }
+
+  if (games.length === 0) {
+    const empty = createTextElement("td", t('stats.empty'));
+    empty.colSpan = 7;
+    const row = document.createElement("tr");
+    row.appendChild(empty);
+    table.appendChild(row);
+  }
+
+  panel.replaceChildren(totals, table);
+}
+
+/**
+ * Shows or hides the statistics panel.
+ */
+function toggleStatsPanel() {
+  const panel = document.getElementById("statsPanel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    renderStatsPanel();
+  }
+}
+
+/**
+ * Downloads the statistics as a JSON file.
+ */
+function exportStats() {
+  const blob = new Blob([JSON.stringify(loadStats(), null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `uutispeli-tilastot-${getTodayString()}.json`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Is this a well-formed game record (see the top of this section)? Records
+ * from older versions may lack difficulty, par, hintPoints and assist.
+ * Anything else in an imported file is left out.
+ */
+function isValidStatsRecord(game) {
+  const isCount = value => Number.isInteger(value) && value >= 0;
+  return game !== null && typeof game === 'object' &&
+    Number.isFinite(game.finishedAt) &&
+    typeof game.day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(game.day) &&
+    typeof game.category === 'string' &&
+    isCount(game.headlineLength) && isCount(game.moves) && isCount(game.hintsUsed) &&
+    Number.isFinite(game.time) && game.time >= 0 &&
+    isCount(game.stars) && game.stars <= 3 &&
+    typeof game.won === 'boolean' && typeof game.gaveUp === 'boolean' && typeof game.daily === 'boolean' &&
+    (game.difficulty === undefined || Object.hasOwn(DIFFICULTY_PRESETS, game.difficulty)) &&
+    (game.par === undefined || isCount(game.par)) &&
+    (game.hintPoints === undefined || isCount(game.hintPoints)) &&
+    (game.assist === undefined || Object.hasOwn(ASSIST_MODES, game.assist));
+}
+
+/**
+ * Merges statistics from an exported JSON file into the saved ones.
+ * Games already present (same finish time) are not added twice, and
+ * malformed records are skipped.
+ */
+async function importStats(file) {
+  const message = document.getElementById("statsMessage");
+
+  try {
+    const imported = JSON.parse(await file.text());
+    if (!imported || !Array.isArray(imported.games)) {
+      throw new Error("Missing games list");
+    }
+
+    const stats = loadStats();
+    const known = new Set(stats.games.map(game => game.finishedAt));
+    const newGames = imported.games.filter(game => isValidStatsRecord(game) && !known.has(game.finishedAt));
+
+    stats.games = stats.games.concat(newGames).sort((a, b) => a.finishedAt - b.finishedAt);
+    saveStats(stats);
+    renderStatsPanel();
+    message.textContent = t('stats.imported', { count: newGames.length });
+  } catch (error) {
+    console.error("Error importing statistics:", error);
+    message.textContent = t('stats.importFailed');
+  }
+}
+
+
+// ============================================================
+// SAVE & RESUME
+// ============================================================
+// The game in progress is written to localStorage after every move, so a
+// reload or an accidental click doesn't lose it. Letters are stored as one
+// string per row rather than the internal [[char]] cells, which keeps the
+// format independent of how the grid is held in memory.
+
+/**
+ * Converts grid cells to one string per row ("ABC..."), and back.
+ */
+function gridToRows(cells) {
+  return cells.map(row => row.map(cell => cell[0]).join(''));
+}
+
+function rowsToGrid(rows) {
+  return rows.map(row => Array.from(row).map(char => [char]));
+}
+
+/**
+ * Builds a plain object of everything needed to continue the current game.
+ */
+function serializeGameState() {
+  return {
+    version: SAVED_GAME_VERSION,
+    savedAt: Date.now(),
+    playfieldRows: playfieldRows,
+    difficulty: currentDifficulty,
+    grid: gridToRows(grid),
+    initialGrid: gridToRows(initialGrid),
+    originalContent: originalContent.map(row => row.join('')),
+    originalAsteriskPositions: originalAsteriskPositions,
+    lockedColumns: lockedColumns,
+    hintsRemaining: hintsRemaining,
+    hintsUsed: hintsUsed,
+    hintPointsUsed: hintPointsUsed,
+    assistUsed: assistUsed,
+    campaignLevel: campaignLevel,
+    headlineLanguage: headlineLanguage,
+    revealedHints: revealedHints,
+    moveCount: moveCount,
+    elapsedTime: getElapsedTime(),
+    scrambleDepth: scrambleDepth,
+    moveHistory: moveHistory,
+    redoStack: redoStack,
+    currentArticleLink: currentArticleLink,
+    currentHeadline: currentHeadline,
+    currentSection: currentSection,
+    currentArticleDetails: currentArticleDetails,
+    currentCategory: currentCategory,
+    selectedCategory: selectedCategory,
+    currentSeed: currentSeed,
+    daily: document.getElementById("dailyToggle").checked,
+    headlineSource: headlineSource,
+  };
+}
+
+/**
+ * Saves the game in progress. Solved, given up or empty boards are not
+ * saved, and neither are time attack rounds.
+ */
+function saveGameState() {
+  if (grid.length === 0 || gameWon || gameGivenUp || timeAttack) return;
+
+  try {
+    localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(serializeGameState()));
+  } catch (error) {
+    console.warn("Could not save game:", error);
+  }
+}
+
+/**
+ * Removes the saved game (after a win or when a new game replaces it).
+ */
+function clearSavedGame() {
+  try {
+    localStorage.removeItem(SAVED_GAME_KEY);
+  } catch (error) {
+    console.warn("Could not clear saved game:", error);
+  }
+}
+
+/**
+ * Upgrades a saved game from an older format to SAVED_GAME_VERSION.
+ * Returns null if the save can't be used (unknown or newer version).
+ */
+function migrateSavedGame(saved) {
+  if (!saved || typeof saved.version !== 'number') return null;
+
+  // Future format changes go here, one step per version
+  if (saved.version === 1) {
+    // Version 1 saves were made before difficulty presets existed
+    saved.difficulty = 'normaali';
+    saved.version = 2;
+  }
+  if (saved.version === 2) {
+    // Version 2 counted whole hints; each one solved a column, now 3 points
+    saved.hintsRemaining *= HINT_TIERS.solveColumn.cost;
+    saved.hintPointsUsed = saved.hintsUsed * HINT_TIERS.solveColumn.cost;
+    saved.revealedHints = {};
+    saved.currentSection = '';
+    saved.version = 3;
+  }
+  if (saved.version === 3) {
+    // The correctness assist did not exist before version 4
+    saved.assistUsed = 'off';
+    saved.version = 4;
+  }
+  if (saved.version === 4) {
+    // Campaigns arrived in version 5; older saves are always normal games
+    saved.campaignLevel = -1;
+    saved.version = 5;
+  }
+  if (saved.version === 5) {
+    // Every headline was Finnish before version 6
+    saved.headlineLanguage = 'fi';
+    saved.version = 6;
+  }
+  if (saved.version === 6) {
+    // The feed's description, date and image were not kept before version 7
+    saved.currentArticleDetails = getArticleDetails({});
+    saved.version = 7;
+  }
+
+  return saved.version === SAVED_GAME_VERSION ? saved : null;
+}
+
+/**
+ * Loads and migrates the saved game, or returns null if there is none
+ * or it doesn't fit the current grid rules.
+ */
+function loadSavedGame() {
+  let saved;
+  try {
+    saved = migrateSavedGame(JSON.parse(localStorage.getItem(SAVED_GAME_KEY)));
+  } catch (error) {
+    console.warn("Could not read saved game:", error);
+    return null;
+  }
+
+  if (!saved || !Object.hasOwn(DIFFICULTY_PRESETS, saved.difficulty) || saved.grid.length <= saved.playfieldRows) {
+    return null;
+  }
+
+  // Every row must be as wide as the first one
+  const width = saved.grid[0].length;
+  const rows = saved.grid.concat(saved.initialGrid, saved.originalContent);
+  if (width === 0 || rows.some(row => row.length !== width)) {
+    return null;
+  }
+
+  return saved;
+}
+
+/**
+ * Puts a saved game back into the game state variables (without drawing).
+ */
+function applySavedGame(saved) {
+  gameGeneration++;
+  currentDifficulty = saved.difficulty;
+  playfieldRows = saved.playfieldRows;
+  grid = rowsToGrid(saved.grid);
+  initialGrid = rowsToGrid(saved.initialGrid);
+  originalContent = saved.originalContent.map(row => Array.from(row));
+  originalAsteriskPositions = saved.originalAsteriskPositions;
+  lockedColumns = saved.lockedColumns;
+  hintsRemaining = saved.hintsRemaining;
+  scrambleDepth = saved.scrambleDepth;
+  parMoves = analyzeBoard(initialGrid).par; // Cheap to work out again, so not saved
+  currentArticleLink = saved.currentArticleLink;
+  currentHeadline = saved.currentHeadline;
+  currentSection = saved.currentSection;
+  currentArticleDetails = saved.currentArticleDetails;
+  currentCategory = saved.currentCategory;
+  headlineLanguage = Object.hasOwn(HYPHENATION_RULES, saved.headlineLanguage) ? saved.headlineLanguage : DEFAULT_LANGUAGE;
+  selectedCategory = saved.selectedCategory;
+  currentSeed = saved.currentSeed;
+  headlineSource = saved.headlineSource;
+
+  // Only a save of the level the campaign is waiting on continues it
+  const isCampaignLevel = campaign && !campaign.finished && saved.campaignLevel === campaign.current;
+  campaignLevel = isCampaignLevel ? saved.campaignLevel : -1;
+
+  resetGameStats();
+  moveCount = saved.moveCount;
+  hintsUsed = saved.hintsUsed;
+  hintPointsUsed = saved.hintPointsUsed;
+  assistUsed = Object.hasOwn(ASSIST_MODES, saved.assistUsed) ? saved.assistUsed : 'off';
+  noteAssistUse();
+  revealedHints = saved.revealedHints;
+  revealedCorrectColumns = [];
+  moveHistory = saved.moveHistory;
+  redoStack = saved.redoStack;
+  lastHintedColumn = -1;
+  focusedColumn = 0;
+  stopReplay();
+
+  // The clock continues from where it was; time away from the page is not counted
+  if (saved.elapsedTime > 0) {
+    gameStartTime = Date.now() - saved.elapsedTime;
+    timerInterval = setInterval(updateStatsDisplay, 1000);
+  }
+}
+
+/**
+ * Restores a saved game and draws it.
+ */
+function resumeGame(saved) {
+  applySavedGame(saved);
+
+  document.getElementById("categorySelect").value = saved.selectedCategory;
+  document.getElementById("difficultySelect").value = saved.difficulty;
+  document.getElementById("dailyToggle").checked = saved.daily;
+  showPuzzleInfo(saved.daily);
+  updateHeadlineSourceDisplay();
+  renderHintInfo();
+  updateHintDisplay();
+  updateStatsDisplay();
+  updateHistoryButtons();
+
+  renderGrid();
+  renderArrows();
+  document.getElementById("message").textContent = "";
+}
+
+/**
+ * Asks whether to continue the saved game. Choosing a new game records
+ * the saved one as given up, just like pressing "Uusi peli" mid-game.
+ */
+function showResumePrompt(saved) {
+  const prompt = document.getElementById("resumePrompt");
+  prompt.hidden = false;
+
+  document.getElementById("resumeYesBtn").onclick = () => {
+    prompt.hidden = true;
+    resumeGame(saved);
+  };
+  document.getElementById("resumeNoBtn").onclick = () => {
+    prompt.hidden = true;
+    applySavedGame(saved);
+    startNewGame();
+  };
+}
+
+
+// ============================================================
+// SHARE RESULT
+// ============================================================
+// Builds a spoiler-free summary of a solved game for team chat. It must
+// never contain the headline (originalContent / currentHeadline) or the
+// article link, since HS article URLs include the headline words.
+
+/**
+ * Builds a link that opens the same seeded board. Returns '' for normal
+ * random games, which can't be reproduced.
+ */
+function buildPuzzleLink() {
+  if (headlineSource && headlineSource.source === 'custom') {
+    return buildCustomPuzzleLink(headlineSource.code);
+  }
+  if (!currentSeed) return '';
+
+  const params = new URLSearchParams({
+    [SEED_URL_PARAM]: currentSeed,
+    category: selectedCategory,
+    difficulty: currentDifficulty,
+  });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+/**
+ * One emoji per column: 🟩 solved by hand, 🟨 locked by a hint,
+ * ⬜ a column with only padding (nothing to solve).
+ */
+function buildColumnEmojiRow() {
+  let emojis = '';
+  for (let col = 0; col < originalContent[0].length; col++) {
+    let hasLetters = false;
+    for (let row = 0; row < playfieldRows; row++) {
+      if (!originalAsteriskPositions[row][col]) hasLetters = true;
+    }
+
+    if (lockedColumns.includes(col)) {
+      emojis += '🟨';
+    } else if (hasLetters) {
+      emojis += '🟩';
+    } else {
+      emojis += '⬜';
+    }
+  }
+  return emojis;
+}
+
+/**
+ * Builds the shareable result text.
+ */
+function buildShareText() {
+  let puzzleName = t('share.title', { day: getTodayString() });
+  if (currentSeed && currentSeed === getDailySeed(selectedCategory)) {
+    puzzleName = t('share.daily', { day: getTodayString() });
+  } else if (currentSeed) {
+    puzzleName = t('share.seed', { seed: currentSeed });
+  } else if (headlineSource && headlineSource.source === 'custom') {
+    puzzleName = t('share.custom');
+  }
+
+  const categoryLabel = getCategoryLabel(currentCategory);
+  const result = t('share.result', {
+    stars: formatStars(calculateStarRating()),
+    moves: moveCount,
+    par: parMoves,
+    time: formatTime(getElapsedTime()),
+    hints: hintsUsed,
+  });
+  const lines = [
+    puzzleName,
+    `${categoryLabel} · ${t(`difficulty.${currentDifficulty}`)}`,
+    result,
+    buildColumnEmojiRow(),
+  ];
+  if (assistUsed !== 'off') {
+    lines.splice(3, 0, t('game.assist', { assist: t(`assist.${assistUsed}`) }));
+  }
+
+  const link = buildPuzzleLink();
+  if (link) lines.push(link);
+
+  return lines.join('\n');
+}
+
+/**
+ * Shares the result with the Web Share API, or copies it to the clipboard
+ * where sharing isn't available (most desktop browsers).
+ */
+async function shareResult() {
+  const status = document.getElementById("shareStatus");
+  const text = buildShareText();
+
+  try {
+    if (navigator.share) {
+      await navigator.share({ text: text });
+      return;
+    }
+    await navigator.clipboard.writeText(text);
+    status.textContent = t('share.copied');
+  } catch (error) {
+    // Closing the share sheet also ends up here; that's not an error
+    if (error.name === 'AbortError') return;
+    console.error("Error sharing result:", error);
+    status.textContent = t('share.failed');
+  }
+}
+
+
+// ============================================================
+// CAMPAIGN & LEVEL PACKS
+// ============================================================
+// A campaign is a list of levels played in order, saved in localStorage:
+//   { name, category, source,
+//     levels: [{ title, link, section, description, published, image, difficulty }],
+//     current, results: [{ moves, par, stars, time, hintsUsed }], finished }
+// Solving a level moves `current` on; starting a normal game in between
+// leaves the campaign waiting on the same level. Unsolved headlines are
+// never shown in the progress list, only the difficulty of their level.
+
+/**
+ * Picks the difficulty of a campaign level. Levels get harder evenly from
+ * the first preset to the last, but a headline too long for a preset's
+ * maxLength moves up to the first preset it fits in.
+ */
+function getCampaignDifficulty(index, total, title) {
+  const keys = Object.keys(DIFFICULTY_PRESETS);
+  let step = Math.min(keys.length - 1, Math.floor(index * keys.length / total));
+  while (step < keys.length - 1 && title.length > DIFFICULTY_PRESETS[keys[step]].maxLength) {
+    step++;
+  }
+  return keys[step];
+}
+
+/**
+ * Creates a new campaign from a list of headlines ({ title, link, section })
+ * in the given language. A level may name its own difficulty; the rest get
+ * a rising one.
+ */
+function createCampaign(name, category, source, items, language) {
+  const levels = items.map((item, index) => ({
+    title: item.title,
+    link: item.link || '',
+    section: item.section || '',
+    ...getArticleDetails(item),
+    difficulty: Object.hasOwn(DIFFICULTY_PRESETS, item.difficulty)
+      ? item.difficulty
+      : getCampaignDifficulty(index, items.length, item.title),
+  }));
+
+  return { name, category, source, language, levels, current: 0, results: [], finished: false };
+}
+
+/**
+ * Reads the saved campaign, or returns null if there is none.
+ */
+function loadCampaign() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CAMPAIGN_STORAGE_KEY));
+    if (saved && Array.isArray(saved.levels) && saved.levels.length > 0) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn("Could not read campaign:", error);
+  }
+  return null;
+}
+
+/**
+ * Saves the campaign progress (or removes it when there is no campaign).
+ */
+function saveCampaign() {
+  try {
+    if (campaign) {
+      localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaign));
+    } else {
+      localStorage.removeItem(CAMPAIGN_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Could not save campaign:", error);
+  }
+}
+
+/**
+ * Checks a level pack read from JSON and turns it into a campaign.
+ * Throws if the pack has no playable levels.
+ */
+function parseLevelPack(data) {
+  if (!data || !Array.isArray(data.levels)) {
+    throw new Error("Missing levels list");
+  }
 
-  // Extract all letters from this column
-  const columnValues = grid.map(row => row[colIndex][0]);
+  // Pack headlines go through the same clean-up and HEADLINE_RULES as feed
+  // headlines; levels that break the rules are left out
+  const language = Object.hasOwn(HYPHENATION_RULES, data.language) ? data.language : DEFAULT_LANGUAGE;
+  const levels = selectHeadlines(data.levels
+    .filter(level => level && typeof level.title === 'string')
+    .map(level => ({
+      title: level.title,
+      link: isWebAddress(level.link) ? level.link : '',
+      section: typeof level.section === 'string' ? level.section : '',
+      difficulty: level.difficulty,
+    })), language);
+  if (levels.length === 0) {
+    throw new Error("No playable levels");
+  }
 
-  // Normalize the shift amount (handle negative shifts properly)
-  shift = ((shift % numRows) + numRows) % numRows;
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : t('category.tasopaketti');
+  return createCampaign(name, PACK_CATEGORY, { source: 'pack', savedAt: Date.now() }, levels, language);
+}
 
-  // Rotate the column values
-  const rotated = columnValues.slice(-shift).concat(columnValues.slice(0, -shift));
+/**
+ * Starts the built-in campaign: the newest headlines of CAMPAIGN_CATEGORY
+ * in feed order (falls back to cached or bundled headlines like a normal game).
+ */
+async function startFeedCampaign() {
+  const language = SOURCE_ADAPTERS[CAMPAIGN_CATEGORY].language;
+  const headlines = await loadHeadlines(CAMPAIGN_CATEGORY);
+  const titles = selectHeadlines(headlines.titles, language);
+  if (titles.length === 0) {
+    document.getElementById("campaignMessage").textContent = t('error.noHeadlines');
+    return;
+  }
 
-  // Put the rotated values back into the grid
-  for (let r = 0; r < numRows; r++) {
-    grid[r][colIndex][0] = rotated[r];
+  campaign = createCampaign(
+    `${getCategoryLabel(CAMPAIGN_CATEGORY)} ${getTodayString()}`,
+    CAMPAIGN_CATEGORY,
+    { source: headlines.source, savedAt: headlines.savedAt },
+    titles.slice(0, CAMPAIGN_LENGTH),
+    language
+  );
+  saveCampaign();
+  startCampaignLevel();
+}
+
+/**
+ * Starts a level pack from a JSON file chosen by the player.
+ */
+async function importLevelPack(file) {
+  const message = document.getElementById("campaignMessage");
+
+  try {
+    campaign = parseLevelPack(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error("Error reading level pack:", error);
+    message.textContent = t('campaign.packFailed');
+    return;
   }
 
-  // Update the display and check if player won
-  renderGrid();
-  checkWin();
+  message.textContent = "";
+  saveCampaign();
+  startCampaignLevel();
+}
+
+/**
+ * Fetches a level pack from a URL (same origin, or a host that allows CORS).
+ * Returns false if it could not be loaded.
+ */
+async function loadLevelPackFromURL(url) {
+  try {
+    // Only packs from this site, so a link can't plant another site's pack
+    const packURL = new URL(url, window.location.href);
+    if (packURL.origin !== window.location.origin) {
+      throw new Error(`Level pack from another site: ${packURL.origin}`);
+    }
+    const response = await fetchWithTimeout(packURL.href, PROXY_TIMEOUT_MS);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    campaign = parseLevelPack(await response.json());
+  } catch (error) {
+    console.error("Error loading level pack:", error);
+    return false;
+  }
+
+  saveCampaign();
+  startCampaignLevel();
+  return true;
+}
+
+/**
+ * Plays the level the campaign is waiting on.
+ */
+function startCampaignLevel() {
+  if (!campaign || campaign.finished) return;
+  const level = campaign.levels[campaign.current];
+
+  // A game that was started but not solved counts as given up
+  endTimeAttack();
+  recordAbandonedGame();
+  clearSavedGame();
+  gameGeneration++;
+
+  // Campaign boards are random; the level list is what everyone shares
+  campaignLevel = campaign.current;
+  currentSeed = '';
+  random = Math.random;
+  currentCategory = campaign.category;
+  headlineLanguage = campaign.language || DEFAULT_LANGUAGE;
+  currentDifficulty = level.difficulty;
+  document.getElementById("difficultySelect").value = level.difficulty;
+  headlineSource = campaign.source;
+  updateHeadlineSourceDisplay();
+
+  setupBoard([level]);
+}
+
+/**
+ * Stores the result of a solved campaign level and moves to the next one.
+ */
+function recordCampaignResult() {
+  if (!campaign || campaignLevel !== campaign.current) return;
+
+  campaign.results[campaignLevel] = {
+    moves: moveCount,
+    par: parMoves,
+    stars: calculateStarRating(),
+    time: getElapsedTime(),
+    hintsUsed: hintsUsed,
+  };
+  campaign.current++;
+  campaign.finished = campaign.current >= campaign.levels.length;
+  saveCampaign();
+  renderCampaignProgress();
+}
+
+/**
+ * Adds the "next level" button (or the summary button after the last
+ * level) to the win message of a campaign level.
+ */
+function addCampaignNextButton(message) {
+  const button = document.createElement("button");
+  button.className = "replay-btn";
+
+  if (campaign.finished) {
+    button.textContent = t('campaign.summary');
+    button.addEventListener("click", () => {
+      document.getElementById("campaignPanel").hidden = false;
+      renderCampaignPanel();
+    });
+  } else {
+    button.textContent = t('campaign.next', { level: campaign.current + 1, total: campaign.levels.length });
+    button.addEventListener("click", startCampaignLevel);
+  }
+
+  message.insertBefore(button, document.getElementById("shareStatus"));
+}
+
+/**
+ * Shows the campaign level above the board and refreshes the open panel.
+ */
+function renderCampaignProgress() {
+  if (campaignLevel >= 0 && campaign) {
+    document.getElementById("puzzleInfo").textContent =
+      t('puzzle.campaign', { name: campaign.name, level: campaignLevel + 1, total: campaign.levels.length });
+  }
+  if (!document.getElementById("campaignPanel").hidden) {
+    renderCampaignPanel();
+  }
+}
+
+/**
+ * Draws the campaign panel: progress, solved headlines with their article
+ * links, and totals once the whole campaign is done.
+ */
+function renderCampaignPanel() {
+  const content = document.getElementById("campaignContent");
+  const playing = campaign && campaignLevel === campaign.current && !gameWon && !gameGivenUp;
+
+  document.getElementById("continueCampaignBtn").hidden = !campaign || campaign.finished || playing;
+  document.getElementById("endCampaignBtn").hidden = !campaign;
+
+  content.innerHTML = "";
+  if (!campaign) {
+    content.appendChild(createTextElement("p", t('campaign.intro', { count: CAMPAIGN_LENGTH })));
+    return;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "campaign-levels";
+  campaign.levels.forEach((level, index) => {
+    const result = campaign.results[index];
+    const difficulty = t(`difficulty.${level.difficulty}`);
+    if (!result) {
+      const marker = index === campaign.current ? t('campaign.upNext') : '';
+      list.appendChild(createTextElement("li", t('campaign.level', { level: index + 1, difficulty }) + marker, "campaign-locked"));
+      return;
+    }
+
+    const item = document.createElement("li");
+    item.append(
+      createArticleLink(level.title, level.link),
+      createTextElement("span", t('campaign.result', {
+        difficulty,
+        stars: formatStars(result.stars),
+        moves: result.moves,
+        par: result.par,
+        time: formatTime(result.time),
+      }), "campaign-result")
+    );
+    list.appendChild(item);
+  });
+
+  const solved = campaign.results.filter(Boolean);
+  const totals = document.createElement("div");
+  totals.className = "stats-totals";
+  if (campaign.finished) {
+    const stars = solved.reduce((sum, result) => sum + result.stars, 0);
+    const moves = solved.reduce((sum, result) => sum + result.moves, 0);
+    const time = solved.reduce((sum, result) => sum + result.time, 0);
+    totals.append(
+      createTotal(t('campaign.done'), `${campaign.levels.length} ${t('campaign.levels')}`),
+      createTotal(`${stars}/${campaign.levels.length * 3}`, t('campaign.stars')),
+      createTotal(moves, t('campaign.moves')),
+      createTotal(formatTime(time), t('campaign.time'))
+    );
+  } else {
+    totals.appendChild(createTotal(`${solved.length}/${campaign.levels.length}`, t('campaign.levels')));
+  }
+
+  content.append(createTextElement("h3", campaign.name), totals, list);
+}
+
+/**
+ * Shows or hides the campaign panel.
+ */
+function toggleCampaignPanel() {
+  const panel = document.getElementById("campaignPanel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    renderCampaignPanel();
+  }
+}
+
+/**
+ * Throws the campaign away. The game on the board carries on as a normal game.
+ */
+function endCampaign() {
+  if (campaignLevel >= 0) {
+    updatePuzzleInfo(false);
+  }
+  campaign = null;
+  campaignLevel = -1;
+  saveCampaign();
+  saveGameState();
+  renderCampaignPanel();
 }
 
 
 // ============================================================
-// RENDERING FUNCTIONS
+// CUSTOM PUZZLES
 // ============================================================
+// The creator ("Oma tehtävä") turns any text into a board. The text is
+// split into rows like a headline (findRowSplits), and each row break can
+// be moved to another space or syllable boundary. The puzzle travels in a
+// ?puzzle=<code> link holding { t: text, b: row break indexes, s: seed,
+// d: difficulty, l: language }. The same code always builds the same
+// board, because the seed drives the filler letters and the scramble.
+// The text is taken to be in the interface language of its creator;
+// codes from before languages existed have no l and are Finnish.
+//
+// The code is JSON XOR'd with a keystream from PUZZLE_CODE_KEY and then
+// base64url-encoded. That is not encryption, only enough that the answer
+// can't be read off the link at a glance.
 
 /**
- * Draws the game grid on the screen.
- * Letters in their correct positions are shown bright.
- * Letters that are padding or out of place are dimmed.
+ * Cleans up creator text the same way feed headlines are cleaned, and
+ * drops the characters the board can't show in the text's language.
  */
-function renderGrid() {
-  const table = document.getElementById("grid");
-  table.innerHTML = "";
+function normalizeCustomText(text, language) {
+  return removeUnplayableCharacters(normalizeHeadline(text), language);
+}
 
-  // Only show the playfield rows (not the hidden bottom rows)
-  for (let rowIndex = 0; rowIndex < PLAYFIELD_ROWS; rowIndex++) {
-    const row = grid[rowIndex];
-    const tr = document.createElement("tr");
+/**
+ * XORs bytes with the fixed puzzle code keystream (the same call decodes).
+ */
+function scramblePuzzleBytes(bytes) {
+  const key = createSeededRandom(PUZZLE_CODE_KEY);
+  return bytes.map(byte => byte ^ Math.floor(key() * 256));
+}
 
-    row.forEach((cell, colIndex) => {
-      const td = document.createElement("td");
-      const char = cell[0];
+/**
+ * Packs a custom puzzle ({ text, splits, seed, difficulty, language })
+ * into a link code.
+ */
+function encodePuzzleCode(puzzle) {
+  const json = JSON.stringify({ t: puzzle.text, b: puzzle.splits, s: puzzle.seed, d: puzzle.difficulty, l: puzzle.language });
+  const bytes = scramblePuzzleBytes(new TextEncoder().encode(json));
 
-      td.textContent = char;
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-      // Highlight the hinted column
-      if (colIndex === lastHintedColumn) {
-        td.classList.add('hinted');
+/**
+ * Unpacks a link code made by encodePuzzleCode. Returns null if the code
+ * is damaged or doesn't describe a playable puzzle.
+ */
+function decodePuzzleCode(code) {
+  let data;
+  try {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = scramblePuzzleBytes(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.warn("Could not read puzzle code:", error);
+    return null;
+  }
+
+  if (!data || typeof data.t !== 'string' || typeof data.s !== 'string' || !Array.isArray(data.b)) {
+    return null;
+  }
+  if (!Object.hasOwn(DIFFICULTY_PRESETS, data.d)) {
+    return null;
+  }
+  const preset = DIFFICULTY_PRESETS[data.d];
+  const language = Object.hasOwn(HYPHENATION_RULES, data.l) ? data.l : DEFAULT_LANGUAGE;
+  const text = normalizeCustomText(data.t, language);
+  if (text === '' || text.length > CUSTOM_MAX_LENGTH || data.b.length >= preset.rows) {
+    return null;
+  }
+
+  // Row breaks must be inside the text and in order
+  const inOrder = data.b.every((index, i) =>
+    Number.isInteger(index) && index > 0 && index < text.length && (i === 0 || index > data.b[i - 1]));
+  if (!inOrder) {
+    return null;
+  }
+
+  return { text, splits: data.b, seed: data.s, difficulty: data.d, language };
+}
+
+/**
+ * Builds the shareable link for a puzzle code.
+ */
+function buildCustomPuzzleLink(code) {
+  const params = new URLSearchParams({ [PUZZLE_URL_PARAM]: code });
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+/**
+ * Starts a game on a custom puzzle. The code is kept in headlineSource
+ * so a saved game can still be shared.
+ */
+function startCustomPuzzle(puzzle, code) {
+  // A game that was started but not solved counts as given up
+  endTimeAttack();
+  recordAbandonedGame();
+  clearSavedGame();
+  gameGeneration++;
+
+  campaignLevel = -1;
+  currentSeed = '';
+  random = createSeededRandom(puzzle.seed);
+  currentCategory = CUSTOM_CATEGORY;
+  headlineLanguage = puzzle.language;
+  currentDifficulty = puzzle.difficulty;
+  document.getElementById("difficultySelect").value = puzzle.difficulty;
+  document.getElementById("puzzleInfo").textContent = t('puzzle.custom');
+  headlineSource = { source: 'custom', savedAt: null, code };
+  updateHeadlineSourceDisplay();
+
+  currentHeadline = puzzle.text;
+  currentArticleLink = '';
+  currentSection = '';
+  currentArticleDetails = getArticleDetails({});
+  const rows = splitHeadlineAt(puzzle.text, puzzle.splits.map(index => makeSplit(puzzle.text, index)));
+  setupBoardFromMatrix(rows.map(row => Array.from(row).map(char => [char])));
+}
+
+/**
+ * Reads the creator's text field, cleaned up.
+ */
+function getCreatorText() {
+  return normalizeCustomText(document.getElementById("creatorText").value, uiLanguage);
+}
+
+/**
+ * Puts the row breaks back where findRowSplits would place them
+ * (after the text or the difficulty changes).
+ */
+function resetCreatorSplits() {
+  const text = getCreatorText();
+  const rows = DIFFICULTY_PRESETS[document.getElementById("creatorDifficulty").value].rows;
+  creatorSplits = text ? findRowSplits(text, rows, uiLanguage) : [];
+  document.getElementById("creatorLink").hidden = true;
+  renderCreatorPreview();
+}
+
+/**
+ * Moves one row break to the previous (direction -1) or next (+1) space
+ * or syllable boundary, without crossing the breaks next to it.
+ */
+function moveCreatorSplit(splitIndex, direction) {
+  const text = getCreatorText();
+  const lower = splitIndex > 0 ? creatorSplits[splitIndex - 1].index : 0;
+  const upper = splitIndex < creatorSplits.length - 1 ? creatorSplits[splitIndex + 1].index : text.length;
+  const current = creatorSplits[splitIndex].index;
+
+  const candidates = getSplitCandidates(text, uiLanguage).filter(index => index > lower && index < upper);
+  const target = direction < 0
+    ? candidates.filter(index => index < current).pop()
+    : candidates.find(index => index > current);
+  if (target === undefined) return;
+
+  creatorSplits[splitIndex] = makeSplit(text, target);
+  document.getElementById("creatorLink").hidden = true;
+  renderCreatorPreview();
+}
+
+/**
+ * Shows how the text will be split into rows, with buttons that move
+ * the break at the end of each row.
+ */
+function renderCreatorPreview() {
+  const preview = document.getElementById("creatorPreview");
+  const text = getCreatorText();
+  preview.innerHTML = "";
+  if (!text) return;
+
+  const rows = splitHeadlineAt(text, creatorSplits);
+  const width = Math.max(...rows.map(row => row.length));
+
+  rows.forEach((row, rowIndex) => {
+    const line = document.createElement("div");
+    line.className = "creator-row";
+
+    const letters = document.createElement("code");
+    letters.textContent = row;
+    line.appendChild(letters);
+
+    if (rowIndex < creatorSplits.length) {
+      for (const [label, direction, textKey] of [['◀', -1, 'creator.breakEarlier'], ['▶', 1, 'creator.breakLater']]) {
+        const button = document.createElement("button");
+        button.textContent = label;
+        button.setAttribute("aria-label", t(textKey, { row: rowIndex + 1 }));
+        button.addEventListener("click", () => moveCreatorSplit(rowIndex, direction));
+        line.appendChild(button);
       }
+    }
+    preview.appendChild(line);
+  });
+
+  const info = document.createElement("div");
+  info.className = "creator-info";
+  info.textContent = t('creator.size', { rows: rows.length, cols: width });
+  preview.appendChild(info);
+}
+
+/**
+ * Collects the creator's puzzle with a fresh seed, or null if there is no text.
+ */
+function getCreatorPuzzle() {
+  const text = getCreatorText();
+  if (!text) {
+    document.getElementById("creatorMessage").textContent = t('creator.noText');
+    return null;
+  }
+
+  document.getElementById("creatorMessage").textContent = "";
+  return {
+    text,
+    splits: creatorSplits.map(split => split.index),
+    seed: Math.random().toString(36).slice(2, 8),
+    difficulty: document.getElementById("creatorDifficulty").value,
+    language: uiLanguage,
+  };
+}
+
+/**
+ * Creates the shareable link for the creator's puzzle and copies it.
+ */
+async function createCustomPuzzleLink() {
+  const puzzle = getCreatorPuzzle();
+  if (!puzzle) return;
+
+  const linkField = document.getElementById("creatorLink");
+  linkField.value = buildCustomPuzzleLink(encodePuzzleCode(puzzle));
+  linkField.hidden = false;
+  linkField.select();
+
+  try {
+    await navigator.clipboard.writeText(linkField.value);
+    document.getElementById("creatorMessage").textContent = t('creator.copied');
+  } catch (error) {
+    console.warn("Could not copy puzzle link:", error);
+  }
+}
+
+/**
+ * Plays the creator's puzzle right away.
+ */
+function playCreatorPuzzle() {
+  const puzzle = getCreatorPuzzle();
+  if (!puzzle) return;
+
+  document.getElementById("creatorPanel").hidden = true;
+  startCustomPuzzle(puzzle, encodePuzzleCode(puzzle));
+}
+
+/**
+ * Shows or hides the puzzle creator.
+ */
+function toggleCreatorPanel() {
+  const panel = document.getElementById("creatorPanel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    document.getElementById("creatorText").focus();
+  }
+}
+
+
+// ============================================================
+// TIME ATTACK
+// ============================================================
+// An endless run against the clock. The run in progress is kept in memory:
+//   { category, difficulty, endsAt, roundStartedAt, pool, dealt, fetching,
+//     interval, solved: [{ title, link, time }] }
+// Every solve deals the next board straight away from `pool`, which is
+// topped up in the background before it runs dry, so there is no network
+// wait between rounds. Solves add time (fast ones more), hints take it away.
+// Rounds don't go into the game statistics; a finished run goes into its
+// own high-score table instead: [{ score, difficulty, category, finishedAt }]
+// Starting any other game, or reloading the page, ends the run unscored.
+
+/**
+ * Is this a well-formed high-score entry? Anything else in localStorage
+ * is left out of the table.
+ */
+function isValidTimeAttackScore(entry) {
+  return entry !== null && typeof entry === 'object' &&
+    Number.isInteger(entry.score) && entry.score >= 0 &&
+    Object.hasOwn(DIFFICULTY_PRESETS, entry.difficulty) &&
+    typeof entry.category === 'string' &&
+    Number.isFinite(entry.finishedAt);
+}
+
+/**
+ * Loads the time attack high scores, best first.
+ */
+function loadTimeAttackScores() {
+  try {
+    const scores = JSON.parse(localStorage.getItem(TIME_ATTACK_SCORES_KEY));
+    if (Array.isArray(scores)) {
+      return scores.filter(isValidTimeAttackScore);
+    }
+  } catch (error) {
+    console.warn("Could not read time attack scores:", error);
+  }
+  return [];
+}
+
+/**
+ * Adds a finished run to the high scores, keeping the best
+ * TIME_ATTACK_SCORES_LIMIT. Returns the run's place (0 = best), or -1 if
+ * it didn't make the table. Of equal scores the earlier run ranks higher.
+ */
+function saveTimeAttackScore(entry) {
+  const scores = loadTimeAttackScores();
+  scores.push(entry);
+  scores.sort((a, b) => b.score - a.score || a.finishedAt - b.finishedAt);
+  const kept = scores.slice(0, TIME_ATTACK_SCORES_LIMIT);
+
+  try {
+    localStorage.setItem(TIME_ATTACK_SCORES_KEY, JSON.stringify(kept));
+  } catch (error) {
+    console.warn("Could not save time attack scores:", error);
+  }
+  return kept.indexOf(entry);
+}
+
+/**
+ * Fetches one feed for the run (a random one in the "all" category) and
+ * adds its playable headlines to the pool, leaving out the ones already
+ * in it or dealt this run.
+ */
+async function fetchTimeAttackHeadlines(run) {
+  const category = resolveCategory(run.category);
+  const language = SOURCE_ADAPTERS[category].language;
+  const headlines = await loadHeadlines(category);
+  const source = { source: headlines.source, savedAt: headlines.savedAt };
+
+  const known = new Set(run.pool.map(item => getHeadlineKey(item.title)));
+  for (const item of selectHeadlines(headlines.titles, language)) {
+    const key = getHeadlineKey(item.title);
+    if (!known.has(key) && !run.dealt.has(key)) {
+      known.add(key);
+      run.pool.push({ ...item, category, language, source });
+    }
+  }
+}
+
+/**
+ * Tops up the headline pool in the background. Only one fetch runs at a
+ * time; the returned promise settles when it is done.
+ */
+function prefetchTimeAttackHeadlines() {
+  const run = timeAttack;
+  if (!run.fetching) {
+    run.fetching = fetchTimeAttackHeadlines(run).finally(() => {
+      run.fetching = null;
+    });
+  }
+  return run.fetching;
+}
+
+/**
+ * Returns the ms left on the run's clock (never below 0).
+ */
+function getTimeAttackRemaining() {
+  return Math.max(0, timeAttack.endsAt - Date.now());
+}
+
+/**
+ * Shows the run's clock and score above the board (hidden without a run).
+ */
+function updateTimeAttackDisplay() {
+  const info = document.getElementById("timeAttackInfo");
+  info.hidden = !timeAttack;
+  if (!timeAttack) return;
+
+  const remaining = getTimeAttackRemaining();
+  info.textContent = t('timeAttack.status', { time: formatTime(remaining), score: timeAttack.solved.length });
+  info.classList.toggle('time-low', remaining < 30000);
+}
+
+/**
+ * Runs every clock tick: ends the run once the time is up.
+ */
+function tickTimeAttack() {
+  if (getTimeAttackRemaining() === 0) {
+    finishTimeAttack();
+  } else {
+    updateTimeAttackDisplay();
+  }
+}
+
+/**
+ * Starts a new run with the category and difficulty chosen in the dropdowns.
+ * The clock starts once the first board is on screen.
+ */
+async function startTimeAttack() {
+  endTimeAttack();
+  recordAbandonedGame();
+  clearSavedGame();
+  gameGeneration++;
+
+  campaignLevel = -1;
+  currentSeed = '';
+  random = Math.random;
+  selectedCategory = document.getElementById("categorySelect").value;
+  timeAttackResult = null;
+  const run = {
+    category: selectedCategory,
+    difficulty: document.getElementById("difficultySelect").value,
+    endsAt: 0,
+    roundStartedAt: 0,
+    pool: [],
+    dealt: new Set(),
+    fetching: null,
+    interval: null,
+    solved: [],
+  };
+  timeAttack = run;
+  renderTimeAttackPanel();
+
+  await prefetchTimeAttackHeadlines();
+  if (timeAttack !== run) return;
+  if (run.pool.length === 0) {
+    timeAttack = null;
+    renderTimeAttackPanel();
+    showNoHeadlinesError();
+    return;
+  }
+
+  run.endsAt = Date.now() + TIME_ATTACK.startTime;
+  run.interval = setInterval(tickTimeAttack, 250);
+  await startTimeAttackRound();
+}
+
+/**
+ * Deals the next board of the run through the normal board pipeline.
+ * Waits for the network only if the pool has run dry; a run that still
+ * finds no headlines ends there.
+ */
+async function startTimeAttackRound() {
+  const run = timeAttack;
+  if (run.pool.length === 0) {
+    await prefetchTimeAttackHeadlines();
+    if (timeAttack !== run) return;
+    if (run.pool.length === 0) {
+      finishTimeAttack();
+      return;
+    }
+  }
+
+  const preset = DIFFICULTY_PRESETS[run.difficulty];
+  const item = pickHeadline(run.pool, preset.maxLength);
+  const key = getHeadlineKey(item.title);
+  run.pool = run.pool.filter(entry => getHeadlineKey(entry.title) !== key);
+  run.dealt.add(key);
+
+  currentCategory = item.category;
+  headlineLanguage = item.language;
+  currentDifficulty = run.difficulty;
+  headlineSource = item.source;
+  updateHeadlineSourceDisplay();
+  setupBoard([item]);
+  gameRecorded = true; // Rounds count towards the run, not the game statistics
+  run.roundStartedAt = Date.now();
+  showPuzzleInfo(false);
+  updateTimeAttackDisplay();
+
+  if (run.pool.length < TIME_ATTACK.prefetchBelow) {
+    prefetchTimeAttackHeadlines();
+  }
+}
 
-      // Dim cells that are padding positions
-      if (originalAsteriskPositions[rowIndex] && originalAsteriskPositions[rowIndex][colIndex]) {
-        td.classList.add('dimmed');
-      } else {
-        td.classList.remove('dimmed');
-      }
+/**
+ * Scores a solved round, adds its time bonus and deals the next board.
+ * The solved headline stays on screen under the new board.
+ */
+async function completeTimeAttackRound() {
+  const run = timeAttack;
+  const roundTime = Date.now() - run.roundStartedAt;
+  const bonus = TIME_ATTACK.solveBonus + (roundTime <= TIME_ATTACK.fastSolveTime ? TIME_ATTACK.fastSolveBonus : 0);
+  run.endsAt += bonus;
+  run.solved.push({ title: currentHeadline, link: currentArticleLink, time: roundTime });
+  savePlayedHeadline(currentHeadline);
 
-      tr.appendChild(td);
-    });
-    table.appendChild(tr);
+  const solvedText = t('timeAttack.solved', { headline: currentHeadline, bonus: bonus / 1000 });
+  announce(solvedText);
+  await startTimeAttackRound();
+  if (timeAttack === run) {
+    document.getElementById("message").textContent = solvedText;
   }
 }
 
 /**
- * Creates the up and down arrow buttons for each column.
- * Players click these to rotate the columns.
+ * Takes time off the run's clock for spent hint points.
  */
-function renderArrows() {
-  const upArrows = document.getElementById("upArrows");
-  const downArrows = document.getElementById("downArrows");
+function chargeTimeAttackHint(cost) {
+  timeAttack.endsAt -= cost * TIME_ATTACK.hintPenalty;
+  tickTimeAttack();
+}
 
-  upArrows.innerHTML = "";
-  downArrows.innerHTML = "";
+/**
+ * Stops the run in progress without scoring it.
+ */
+function endTimeAttack() {
+  if (!timeAttack) return;
+  clearInterval(timeAttack.interval);
+  timeAttack = null;
+  updateTimeAttackDisplay();
+  updateHistoryButtons();
+  if (!document.getElementById("timeAttackPanel").hidden) renderTimeAttackPanel();
+}
 
-  const numCols = grid[0].length;
+/**
+ * Ends the run when the time is up (or the player stops it): saves the
+ * score, gives up the unsolved board and shows the result in the panel.
+ */
+function finishTimeAttack() {
+  const run = timeAttack;
+  if (!run) return;
+  endTimeAttack();
 
-  for (let col = 0; col < numCols; col++) {
-    // Up arrow button
-    const upBtn = document.createElement("button");
-    upBtn.className = "arrow-btn";
-    
-    // Add visual states
-    if (col === lastHintedColumn) {
-      upBtn.classList.add('hinted');
-    }
-    if (lockedColumns.includes(col)) {
-      upBtn.classList.add('locked');
-      upBtn.disabled = true;
-    }
-    
-    upBtn.textContent = "▲";
-    upBtn.onclick = () => moveColumn(col, -1); // Negative = move up
-    upArrows.appendChild(upBtn);
+  const score = run.solved.length;
+  const place = saveTimeAttackScore({ score, difficulty: run.difficulty, category: run.category, finishedAt: Date.now() });
+  timeAttackResult = { score, place, solved: run.solved };
 
-    // Down arrow button
-    const downBtn = document.createElement("button");
-    downBtn.className = "arrow-btn";
-    
-    // Add visual states
-    if (col === lastHintedColumn) {
-      downBtn.classList.add('hinted');
-    }
-    if (lockedColumns.includes(col)) {
-      downBtn.classList.add('locked');
-      downBtn.disabled = true;
-    }
-    
-    downBtn.textContent = "▼";
-    downBtn.onclick = () => moveColumn(col, 1); // Positive = move down
-    downArrows.appendChild(downBtn);
+  if (grid.length > 0 && !gameWon) {
+    gameGivenUp = 'timeUp';
+    gameEndTime = Date.now();
+    stopTimer();
+    updateHintDisplay();
+    updateHistoryButtons();
+    revealSolution(showGiveUpMessage);
   }
+  document.getElementById("timeAttackPanel").hidden = false;
+  renderTimeAttackPanel();
+  announce(t('timeAttack.over', { score }));
 }
 
-
-// ============================================================
-// HINT SYSTEM
-// ============================================================
-
 /**
- * Provides a hint by automatically fixing one incorrectly positioned column.
- * Finds columns where letters are out of place and moves one to the correct position.
+ * Draws the time attack panel: the rules, the result of the last run with
+ * its solved headlines, and the high-score table.
  */
-function useHint() {
-  if (hintsRemaining <= 0) {
-    return;
-  }
+function renderTimeAttackPanel() {
+  const content = document.getElementById("timeAttackContent");
+  document.getElementById("startTimeAttackBtn").hidden = timeAttack !== null;
+  document.getElementById("endTimeAttackBtn").hidden = timeAttack === null;
+  content.innerHTML = "";
 
-  // Find all columns that have at least one letter in the wrong position
-  const incorrectColumns = [];
-  
-  for (let col = 0; col < grid[0].length; col++) {
-    let hasIncorrectLetter = false;
-    
-    for (let row = 0; row < PLAYFIELD_ROWS; row++) {
-      // Skip padding positions
-      if (!originalAsteriskPositions[row][col]) {
-        const currentChar = grid[row][col][0];
-        const correctChar = originalContent[row][col];
-        
-        if (currentChar !== correctChar) {
-          hasIncorrectLetter = true;
-          break;
-        }
-      }
-    }
-    
-    if (hasIncorrectLetter) {
-      incorrectColumns.push(col);
+  if (timeAttackResult) {
+    const { score, place, solved } = timeAttackResult;
+    const summary = document.createElement("p");
+    summary.appendChild(createTextElement("strong", t('timeAttack.over', { score })));
+    if (place >= 0) {
+      summary.append(` ${t('timeAttack.newScore', { place: place + 1 })}`);
     }
-  }
+    content.appendChild(summary);
 
-  // If no incorrect columns, nothing to hint
-  if (incorrectColumns.length === 0) {
-    return;
-  }
-
-  // Pick a random incorrect column to fix
-  const colToFix = incorrectColumns[Math.floor(Math.random() * incorrectColumns.length)];
-  
-  // Try different shifts to find the correct one
-  const numRows = grid.length;
-  for (let shift = 0; shift < numRows; shift++) {
-    // Test this shift
-    const columnValues = grid.map(row => row[colToFix][0]);
-    const testShift = shift % numRows;
-    const rotated = columnValues.slice(-testShift).concat(columnValues.slice(0, -testShift));
-    
-    // Check if this shift makes all visible letters correct
-    let allCorrect = true;
-    for (let row = 0; row < PLAYFIELD_ROWS; row++) {
-      if (!originalAsteriskPositions[row][colToFix]) {
-        if (rotated[row] !== originalContent[row][colToFix]) {
-          allCorrect = false;
-          break;
-        }
+    if (solved.length > 0) {
+      const list = document.createElement("ol");
+      list.className = "campaign-levels";
+      for (const item of solved) {
+        const entry = document.createElement("li");
+        entry.append(createArticleLink(item.title, item.link), createTextElement("span", formatTime(item.time), "campaign-result"));
+        list.appendChild(entry);
       }
-    }
-    
-    // If this shift fixes the column, apply it
-    if (allCorrect) {
-      for (let r = 0; r < numRows; r++) {
-        grid[r][colToFix][0] = rotated[r];
-      }
-      break;
+      content.appendChild(list);
     }
   }
 
-  // Store which column was hinted for visualization and lock it
-  lastHintedColumn = colToFix;
-  lockedColumns.push(colToFix);
+  content.appendChild(createTextElement("p", t('timeAttack.intro', {
+    minutes: TIME_ATTACK.startTime / 60000,
+    bonus: TIME_ATTACK.solveBonus / 1000,
+    fastTime: TIME_ATTACK.fastSolveTime / 1000,
+    fastBonus: TIME_ATTACK.fastSolveBonus / 1000,
+    penalty: TIME_ATTACK.hintPenalty / 1000,
+  })));
+  content.appendChild(createTextElement("h3", t('timeAttack.scores')));
 
-  // Decrement hints and update display
-  hintsRemaining--;
-  updateHintDisplay();
-  
-  // Update the grid and check for win
-  renderGrid();
-  renderArrows();
-  checkWin();
-  
-  // Remove the highlight after 2 seconds (but keep it locked)
-  setTimeout(() => {
-    lastHintedColumn = -1;
-    renderGrid();
-    renderArrows();
-  }, 2000);
+  const table = document.createElement("table");
+  table.className = "stats-table";
+  table.appendChild(createTableRow("th", [
+    '#', t('timeAttack.score'), t('timeAttack.difficulty'), t('stats.category'), t('timeAttack.date'),
+  ]));
+
+  const scores = loadTimeAttackScores();
+  scores.forEach((entry, index) => {
+    const row = createTableRow("td", [
+      `${index + 1}.`,
+      String(entry.score),
+      t(`difficulty.${entry.difficulty}`),
+      getCategoryLabel(entry.category),
+      new Date(entry.finishedAt).toLocaleDateString(uiLanguage),
+    ]);
+    if (timeAttackResult && index === timeAttackResult.place) {
+      row.className = "time-attack-new";
+    }
+    table.appendChild(row);
+  });
+  if (scores.length === 0) {
+    const row = createTableRow("td", [t('timeAttack.empty')]);
+    row.firstChild.colSpan = 5;
+    table.appendChild(row);
+  }
+  content.appendChild(table);
 }
 
 /**
- * Updates the hint counter display and enables/disables the hint button
+ * Shows or hides the time attack panel.
  */
-function updateHintDisplay() {
-  const hintCountElement = document.getElementById("hintCount");
-  const hintBtn = document.getElementById("hintBtn");
-  
-  if (hintCountElement) {
-    hintCountElement.textContent = hintsRemaining;
-  }
-  
-  if (hintBtn) {
-    hintBtn.disabled = hintsRemaining <= 0;
+function toggleTimeAttackPanel() {
+  const panel = document.getElementById("timeAttackPanel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) {
+    renderTimeAttackPanel();
   }
 }
 
@@ -698,7 +5128,7 @@ function checkWin() {
   let allCorrect = true;
 
   // Check only the visible playfield rows
-  for (let row = 0; row < PLAYFIELD_ROWS; row++) {
+  for (let row = 0; row < playfieldRows; row++) {
     for (let col = 0; col < grid[row].length; col++) {
       // Skip padding positions (they don't matter for winning)
       if (!originalAsteriskPositions[row][col]) {
@@ -714,56 +5144,354 @@ function checkWin() {
     if (!allCorrect) break;
   }
 
+  // A time attack round goes straight on to the next board
+  if (allCorrect && timeAttack) {
+    if (!gameWon) {
+      gameWon = true;
+      stopTimer();
+      completeTimeAttackRound();
+    }
+    return;
+  }
+
   // Show win message if player solved it!
   const message = document.getElementById("message");
   if (allCorrect) {
+    // Freeze the board and the clock
+    if (!gameWon) {
+      gameWon = true;
+      gameEndTime = Date.now();
+      stopTimer();
+      updateStatsDisplay();
+      updateHistoryButtons();
+      recordFinishedGame(false);
+      savePlayedHeadline(currentHeadline);
+      recordCampaignResult();
+      clearSavedGame();
+      announce(t('announce.win', { headline: currentHeadline }));
+
+      // Redraw so the solved headline lights up row by row
+      renderGrid();
+    }
+
+    const stars = calculateStarRating();
     message.innerHTML = `
-      Voitit! Otsikko on paljastunut!<br>
-      <a href="${currentArticleLink}" target="_blank">
-        Lue artikkeli →
-      </a>
+      ${t('win.title')}<br>
+      <span class="win-stats">
+        <span class="stars" title="${stars}/3">${formatStars(stars)}</span>
+        ${t('win.stats', { moves: moveCount, par: parMoves, hints: hintsUsed, time: formatTime(getElapsedTime()) })}${assistUsed !== 'off' ? ` · ${t('game.assist', { assist: t(`assist.${assistUsed}`) })}` : ''}
+      </span>
+      <button id="replayBtn" class="replay-btn">${t('win.replay')}</button>
+      <button id="shareBtn" class="replay-btn">${t('win.share')}</button>
+      <div id="shareStatus"></div>
     `;
+    const replayBtn = document.getElementById("replayBtn");
+    if (isWebAddress(currentArticleLink)) {
+      message.insertBefore(createArticleLink(t('win.readArticle'), currentArticleLink), replayBtn);
+    }
+    replayBtn.addEventListener("click", replaySolution);
+    document.getElementById("shareBtn").addEventListener("click", shareResult);
+    if (campaignLevel >= 0) {
+      addCampaignNextButton(message);
+    }
   } else {
     message.innerHTML = "";
   }
 }
 
 
+// ============================================================
+// GIVING UP
+// ============================================================
+// "Luovuta" ends the game as a loss. The unsolved columns turn into place
+// one after another (found the same way as the column hint finds them),
+// then the headline is shown with what the feed told about the article:
+// image, publish date, description and link. The game is recorded as
+// given up, and a campaign stays waiting on the same level.
+
+/**
+ * Can the current game be given up?
+ */
+function canGiveUp() {
+  return grid.length > 0 && !gameWon && !gameGivenUp && !isReplaying && !timeAttack;
+}
+
+/**
+ * Gives up the current game, once the player confirms it.
+ */
+function giveUp() {
+  if (!canGiveUp() || !window.confirm(t('giveUp.confirm'))) return;
+
+  // Freeze the board and the clock, and record the loss right away
+  gameGivenUp = 'gaveUp';
+  gameEndTime = Date.now();
+  stopTimer();
+  updateStatsDisplay();
+  document.getElementById("hintMenu").hidden = true;
+  updateHintDisplay();
+  updateHistoryButtons();
+  recordFinishedGame(true);
+  clearSavedGame();
+  renderCampaignProgress();
+
+  revealSolution(() => {
+    showGiveUpMessage();
+    announce(t('announce.gaveUp', { headline: currentHeadline }));
+  });
+}
+
+/**
+ * Turns every unsolved column into place, one every GIVE_UP_STEP_MS
+ * (all at once when the player prefers reduced motion), then calls done.
+ * Stops if a new game replaces the board midway.
+ */
+function revealSolution(done) {
+  const columns = findIncorrectColumns();
+  const board = grid;
+
+  const solveColumn = (col) => {
+    const shift = findSolvingShift(col);
+    if (shift < 0) return;
+    rotateColumn(col, shift);
+    lastHintedColumn = col;
+    renderGrid();
+    // Slide from the nearer side, the way the column would have turned
+    animateColumnSlide(col, shift > grid.length / 2 ? shift - grid.length : shift);
+  };
+  const finish = () => {
+    lastHintedColumn = -1;
+    renderGrid();
+    renderArrows();
+    done();
+  };
+
+  if (prefersReducedMotion()) {
+    columns.forEach(solveColumn);
+    finish();
+    return;
+  }
+
+  const revealInterval = setInterval(() => {
+    if (grid !== board) {
+      clearInterval(revealInterval);
+    } else if (columns.length > 0) {
+      solveColumn(columns.shift());
+    } else {
+      clearInterval(revealInterval);
+      finish();
+    }
+  }, GIVE_UP_STEP_MS);
+}
+
+/**
+ * Formats a feed's ISO publish date for the interface language.
+ */
+function formatPublishDate(published) {
+  return new Date(published).toLocaleString(uiLanguage, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Builds the article box shown after giving up. Each part is left out when
+ * the feed didn't have it, and feed text is only ever set as text.
+ */
+function buildArticleCard() {
+  const { description, published, image } = currentArticleDetails;
+  const card = document.createElement("div");
+  card.className = "article-card";
+
+  if (isWebAddress(image)) {
+    const img = document.createElement("img");
+    img.src = image;
+    img.alt = "";
+    img.loading = "lazy";
+    card.appendChild(img);
+  }
+  if (published) {
+    const date = document.createElement("div");
+    date.className = "article-date";
+    date.textContent = t('giveUp.published', { date: formatPublishDate(published) });
+    card.appendChild(date);
+  }
+  if (description) {
+    const text = document.createElement("p");
+    text.textContent = description;
+    card.appendChild(text);
+  }
+  if (isWebAddress(currentArticleLink)) {
+    card.appendChild(createArticleLink(t('win.readArticle'), currentArticleLink));
+  }
+  return card;
+}
+
+/**
+ * Shows the headline of the given up game (or the board a time attack
+ * ended on) and its article.
+ */
+function showGiveUpMessage() {
+  const message = document.getElementById("message");
+  const title = document.createElement("div");
+  title.textContent = t(gameGivenUp === 'timeUp' ? 'timeAttack.lastHeadline' : 'giveUp.title');
+  const headline = document.createElement("div");
+  headline.className = "give-up-headline";
+  headline.textContent = currentHeadline;
+
+  message.innerHTML = "";
+  message.append(title, headline, buildArticleCard());
+}
+
+
 // ============================================================
 // GAME INITIALIZATION
 // ============================================================
 
+/**
+ * Picks the seed for the next game and sets up the random source.
+ * A seed from the URL wins (only for the first game after page load),
+ * then the daily seed if "Päivän peli" is on, otherwise plain Math.random.
+ */
+function setupRandomSource(category) {
+  const urlSeed = getSeedFromURL();
+  const isDaily = document.getElementById("dailyToggle").checked;
+
+  if (urlSeed && !urlSeedUsed) {
+    urlSeedUsed = true;
+    currentSeed = urlSeed;
+  } else if (isDaily) {
+    currentSeed = getDailySeed(category);
+  } else {
+    currentSeed = '';
+  }
+
+  random = currentSeed ? createSeededRandom(currentSeed) : Math.random;
+  updatePuzzleInfo(isDaily);
+}
+
+/**
+ * Shows which seeded puzzle is on the board (empty for normal games).
+ */
+function updatePuzzleInfo(isDaily) {
+  const puzzleInfo = document.getElementById("puzzleInfo");
+  if (!currentSeed) {
+    puzzleInfo.textContent = "";
+  } else if (isDaily && currentSeed === getDailySeed(document.getElementById("categorySelect").value)) {
+    puzzleInfo.textContent = t('puzzle.daily', { day: getTodayString() });
+  } else {
+    puzzleInfo.textContent = t('puzzle.seed', { seed: currentSeed });
+  }
+}
+
+/**
+ * Shows what is on the board when it wasn't just set up by a new game:
+ * a campaign level, a custom puzzle or a seeded board.
+ */
+function showPuzzleInfo(isDaily) {
+  updatePuzzleInfo(isDaily);
+  renderCampaignProgress();
+  if (headlineSource && headlineSource.source === 'custom') {
+    document.getElementById("puzzleInfo").textContent = t('puzzle.custom');
+  }
+  if (timeAttack) {
+    document.getElementById("puzzleInfo").textContent = t('timeAttack.title');
+  }
+}
+
+/**
+ * Explains that no headlines could be loaded, instead of showing
+ * a meaningless grid. The board is cleared until the next game.
+ */
+function showNoHeadlinesError() {
+  grid = [];
+  lockedColumns = [];
+  revealedHints = {};
+  renderHintInfo();
+  hintsRemaining = 0;
+  updateHintDisplay();
+  resetGameStats();
+  resetMoveHistory();
+
+  document.getElementById("grid").innerHTML = "";
+  document.getElementById("upArrows").innerHTML = "";
+  document.getElementById("downArrows").innerHTML = "";
+  document.getElementById("message").textContent = t('error.noHeadlines');
+}
+
 /**
  * Starts a new game with a fresh headline.
  * Fetches from RSS, builds the grid, scrambles it, and displays it.
  */
 async function startNewGame() {
   const category = document.getElementById("categorySelect").value;
+  currentDifficulty = document.getElementById("difficultySelect").value;
+  selectedCategory = category;
+
+  // A game that was started but not solved counts as given up
+  endTimeAttack();
+  recordAbandonedGame();
+  clearSavedGame();
+
+  // A normal game leaves the campaign where it was
+  campaignLevel = -1;
+
+  // Seed the board first so the "all" category pick is reproducible too
+  setupRandomSource(category);
 
-  // Get the RSS feed for the selected category
-  const rssUrl = getCategoryURL(category);
-  const proxyUrl = buildProxyURL(rssUrl);
+  // Fetch headlines for the selected category (falls back to cache/bundle).
+  // If another game starts while they load, that game keeps the board.
+  const generation = ++gameGeneration;
+  const feedCategory = resolveCategory(category);
+  currentCategory = feedCategory;
+  headlineLanguage = SOURCE_ADAPTERS[feedCategory].language;
+  const headlines = await loadHeadlines(feedCategory);
+  if (generation !== gameGeneration) return;
+  const titles = headlines.titles;
+  headlineSource = { source: headlines.source, savedAt: headlines.savedAt };
+  updateHeadlineSourceDisplay();
 
-  // Fetch headlines
-  const titles = await titleSearch(proxyUrl);
-  const numRows = 4;
-  const maxLength = 60;
+  if (titles.length === 0) {
+    showNoHeadlinesError();
+    return;
+  }
+
+  setupBoard(titles);
+}
+
+/**
+ * Builds, scrambles and draws a board for one of the given headlines,
+ * using the current difficulty, and resets everything for the new game.
+ */
+function setupBoard(titles) {
+  const preset = DIFFICULTY_PRESETS[currentDifficulty];
 
   // Create the game grid from a random headline
-  const matrix = createRandomTitleMatrix(titles, numRows, maxLength);
-  grid = buildGrid(matrix);
+  setupBoardFromMatrix(createRandomTitleMatrix(titles, preset.rows, preset.maxLength));
+}
 
-  // Replace padding with random letters
-  replaceAsterisksWithRandomChars();
+/**
+ * Same as setupBoard, for a headline that is already split into rows.
+ */
+function setupBoardFromMatrix(matrix) {
+  const preset = DIFFICULTY_PRESETS[currentDifficulty];
+  playfieldRows = preset.rows;
+  grid = buildGrid(matrix, preset.bufferRows);
 
-  // Scramble the board
-  shuffleBoard();
+  // Fill the padding and scramble, retrying until the board is a fair puzzle
+  const generated = generateBoard(preset);
+  scrambleDepth = generated.scrambleDepth;
+  parMoves = generated.par;
 
   // Reset hints, hinted column, and locked columns
-  hintsRemaining = 5;
+  hintsRemaining = preset.hintPoints;
   lastHintedColumn = -1;
   lockedColumns = [];
+  focusedColumn = 0;
+  revealedCorrectColumns = [];
+  revealedHints = {};
+  renderHintInfo();
   updateHintDisplay();
+  resetGameStats();
+  resetMoveHistory();
+  noteAssistUse();
+  updateStatsDisplay();
 
   // Display everything to the player
   renderGrid();
@@ -771,13 +5499,168 @@ async function startNewGame() {
 
   // Clear any previous win message
   document.getElementById("message").textContent = "";
+
+  // The new game replaces any saved one
+  saveGameState();
+  renderCampaignProgress();
+}
+
+// Pick the interface language before any text is drawn
+uiLanguage = detectLanguage();
+
+// Fill the category dropdown from the registered news sources
+registerDefaultSourceAdapters();
+if (new URLSearchParams(window.location.search).has('fixtures')) {
+  registerFixtureSourceAdapters();
 }
 
 // Hook up the "New Game" button
 document.getElementById("newGameBtn").addEventListener("click", startNewGame);
 
-// Hook up the "Hint" button
-document.getElementById("hintBtn").addEventListener("click", useHint);
+// Hook up the "Hint" button, which opens the menu of hint tiers
+renderHintMenu();
+document.getElementById("hintBtn").addEventListener("click", toggleHintMenu);
+
+// Undo/redo and give up buttons, and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z also redoes)
+document.getElementById("undoBtn").addEventListener("click", undoMove);
+document.getElementById("redoBtn").addEventListener("click", redoMove);
+document.getElementById("giveUpBtn").addEventListener("click", giveUp);
+document.addEventListener("keydown", (event) => {
+  if (!(event.ctrlKey || event.metaKey) || isTypingTarget(event.target)) return;
+
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undoMove();
+  } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+    event.preventDefault();
+    redoMove();
+  }
+});
+
+// Drag/swipe columns directly on the grid
+const gridTable = document.getElementById("grid");
+gridTable.addEventListener("pointerdown", handleGridPointerDown);
+gridTable.addEventListener("pointermove", handleGridPointerMove);
+gridTable.addEventListener("pointerup", handleGridPointerUp);
+gridTable.addEventListener("pointercancel", handleGridPointerCancel);
+
+// Keyboard play: column cursor, rotation, column numbers and H for hints
+document.addEventListener("keydown", handleGameKey);
+
+// Statistics panel: show/hide, export and import
+document.getElementById("statsBtn").addEventListener("click", toggleStatsPanel);
+document.getElementById("exportStatsBtn").addEventListener("click", exportStats);
+document.getElementById("importStatsInput").addEventListener("change", (event) => {
+  if (event.target.files.length > 0) {
+    importStats(event.target.files[0]);
+    event.target.value = "";
+  }
+});
+
+// Campaign panel: the built-in campaign, level packs, continue and quit
+document.getElementById("campaignBtn").addEventListener("click", toggleCampaignPanel);
+document.getElementById("startCampaignBtn").addEventListener("click", startFeedCampaign);
+document.getElementById("continueCampaignBtn").addEventListener("click", startCampaignLevel);
+document.getElementById("endCampaignBtn").addEventListener("click", endCampaign);
+document.getElementById("importPackInput").addEventListener("change", (event) => {
+  if (event.target.files.length > 0) {
+    importLevelPack(event.target.files[0]);
+    event.target.value = "";
+  }
+});
+campaign = loadCampaign();
+
+// Time attack panel: start and stop a run, high scores
+document.getElementById("timeAttackBtn").addEventListener("click", toggleTimeAttackPanel);
+document.getElementById("startTimeAttackBtn").addEventListener("click", startTimeAttack);
+document.getElementById("endTimeAttackBtn").addEventListener("click", finishTimeAttack);
 
-// Start the first game when the page loads
-startNewGame();
+// Puzzle creator: preview follows the text and difficulty as they change
+document.getElementById("creatorBtn").addEventListener("click", toggleCreatorPanel);
+document.getElementById("creatorText").addEventListener("input", resetCreatorSplits);
+document.getElementById("creatorDifficulty").addEventListener("change", resetCreatorSplits);
+document.getElementById("creatorLinkBtn").addEventListener("click", createCustomPuzzleLink);
+document.getElementById("creatorPlayBtn").addEventListener("click", playCreatorPuzzle);
+document.getElementById("creatorText").maxLength = CUSTOM_MAX_LENGTH;
+
+// Switching the daily puzzle on or off starts a new game right away
+document.getElementById("dailyToggle").addEventListener("change", startNewGame);
+
+// Fill the difficulty dropdown from the presets; changing it starts a new game
+const difficultySelect = document.getElementById("difficultySelect");
+const creatorDifficulty = document.getElementById("creatorDifficulty");
+for (const key of Object.keys(DIFFICULTY_PRESETS)) {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = t(`difficulty.${key}`);
+  difficultySelect.appendChild(option);
+  creatorDifficulty.appendChild(option.cloneNode(true));
+}
+difficultySelect.value = DEFAULT_DIFFICULTY;
+creatorDifficulty.value = DEFAULT_DIFFICULTY;
+difficultySelect.addEventListener("change", startNewGame);
+
+// Fill the assist dropdown; the chosen level is remembered between visits
+const assistSelect = document.getElementById("assistSelect");
+for (const key of Object.keys(ASSIST_MODES)) {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = t(`assist.${key}`);
+  assistSelect.appendChild(option);
+}
+assistMode = loadAssistMode();
+assistSelect.value = assistMode;
+assistSelect.addEventListener("change", () => setAssistMode(assistSelect.value));
+
+// Fill the language dropdown and translate the texts in index.html
+const languageSelect = document.getElementById("languageSelect");
+for (const key of Object.keys(LANGUAGE_NAMES)) {
+  const option = document.createElement("option");
+  option.value = key;
+  option.textContent = LANGUAGE_NAMES[key];
+  languageSelect.appendChild(option);
+}
+languageSelect.value = uiLanguage;
+languageSelect.addEventListener("change", () => setLanguage(languageSelect.value));
+applyTranslations();
+
+// Allow ?category=talous and ?difficulty=vaikea next to ?seed= so a board
+// can be fully reproduced (shared result links use all three)
+const urlCategory = new URLSearchParams(window.location.search).get('category');
+const categorySelect = document.getElementById("categorySelect");
+if (urlCategory && [...categorySelect.options].some(option => option.value === urlCategory)) {
+  categorySelect.value = urlCategory;
+}
+const urlDifficulty = new URLSearchParams(window.location.search).get('difficulty');
+if (Object.hasOwn(DIFFICULTY_PRESETS, urlDifficulty)) {
+  difficultySelect.value = urlDifficulty;
+}
+
+// Start the first game when the page loads, or offer to continue the saved
+// one if the player had started it (an explicit ?seed= always gets a fresh
+// board, ?puzzle= plays that custom puzzle and ?pack= starts that level
+// pack from its first level)
+const packURL = new URLSearchParams(window.location.search).get(PACK_URL_PARAM);
+const puzzleCode = new URLSearchParams(window.location.search).get(PUZZLE_URL_PARAM);
+const savedGame = getSeedFromURL() || packURL || puzzleCode ? null : loadSavedGame();
+if (puzzleCode) {
+  const puzzle = decodePuzzleCode(puzzleCode);
+  if (puzzle) {
+    startCustomPuzzle(puzzle, puzzleCode);
+  } else {
+    startNewGame();
+    document.getElementById("puzzleInfo").textContent = t('puzzle.brokenLink');
+  }
+} else if (packURL) {
+  loadLevelPackFromURL(packURL).then(loaded => {
+    if (!loaded) {
+      startNewGame();
+      document.getElementById("puzzleInfo").textContent = t('puzzle.packFailed');
+    }
+  });
+} else if (savedGame && (savedGame.moveCount > 0 || savedGame.hintsUsed > 0)) {
+  showResumePrompt(savedGame);
+} else {
+  startNewGame();
+}
@@ -0,0 +1,78 @@
+// Checks the Finnish hyphenation rules against tests/hyphenation-corpus.txt.
+// Run with: node --test tests/
+//
+// scripts2.js is a browser script, so this loads only its HYPHENATION
+// section (which uses nothing else from the game) into a sandbox.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Loads the hyphenation functions from the HYPHENATION section of scripts2.js.
+ */
+function loadHyphenation() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'scripts2.js'), 'utf8');
+  const start = source.indexOf('// HYPHENATION\n');
+  const end = source.indexOf('// HEADLINE TEXT PROCESSING\n');
+  assert.ok(start !== -1 && end > start, 'HYPHENATION section not found in scripts2.js');
+
+  const context = vm.createContext({ headlineLanguage: 'fi' });
+  return vm.runInContext(`${source.substring(start, end)}\n({ splitSyllables, getHyphenationPoints });`, context);
+}
+
+/**
+ * Reads the corpus: every word on a line that is not a comment, with its
+ * syllable breaks marked by "-" and its own hyphens by "--".
+ */
+function loadCorpus() {
+  const text = fs.readFileSync(path.join(__dirname, 'hyphenation-corpus.txt'), 'utf8');
+  return text.split('\n')
+    .filter(line => !line.startsWith('#'))
+    .flatMap(line => line.split(/\s+/))
+    .filter(Boolean)
+    .map(marked => ({
+      marked,
+      word: marked.replace(/-(-?)/g, '$1'),
+      syllables: marked.split(/-(?!-)/),
+    }));
+}
+
+const { splitSyllables, getHyphenationPoints } = loadHyphenation();
+const corpus = loadCorpus();
+
+test('the corpus has several hundred words', () => {
+  assert.ok(corpus.length >= 500, `only ${corpus.length} words`);
+});
+
+test('splitSyllables matches the corpus', () => {
+  const wrong = corpus
+    .filter(entry => splitSyllables(entry.word, 'fi').join('-') !== entry.marked)
+    .map(entry => `${entry.marked} (got ${splitSyllables(entry.word, 'fi').join('-')})`);
+  assert.deepStrictEqual(wrong, []);
+});
+
+test('getHyphenationPoints leaves at least two letters on each row', () => {
+  const wrong = [];
+  for (const entry of corpus) {
+    const expected = [];
+    let position = 0;
+    for (const syllable of entry.syllables.slice(0, -1)) {
+      position += syllable.length;
+      if (position >= 2 && position <= entry.word.length - 2) expected.push(position);
+    }
+
+    const points = getHyphenationPoints(entry.word, 'fi');
+    if (points.join() !== expected.join()) {
+      wrong.push(`${entry.marked}: ${points.join()} instead of ${expected.join()}`);
+    }
+  }
+  assert.deepStrictEqual(wrong, []);
+});
+
+test('the headline language is the default', () => {
+  assert.strictEqual(splitSyllables('talouden').join('-'), 'ta-lou-den');
+  assert.strictEqual(getHyphenationPoints('talouden').join(), '2,5');
+});
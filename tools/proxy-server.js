@@ -0,0 +1,190 @@
+// ============================================================
+// LOCAL CORS PROXY & FEED CACHE
+// ============================================================
+// A small self-hosted replacement for corsproxy.io. It serves the game's
+// own files and fetches news feeds for the browser, keeping a copy of each
+// feed in memory so repeated games don't hit the news sites every time.
+//
+// Usage (Node 18 or newer, no dependencies):
+//   node tools/proxy-server.js            -> http://localhost:8787/
+//   PORT=3000 node tools/proxy-server.js
+//
+// Then open http://localhost:8787/?proxy=local so the game fetches feeds
+// through /proxy?url=<feed url> on the same server.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const GAME_ROOT = path.join(__dirname, '..');
+const CACHE_TTL_MS = 5 * 60 * 1000; // Feeds newer than this are served from cache
+const UPSTREAM_TIMEOUT_MS = 8000; // Give up on a news site after this long
+
+// Only these sites can be fetched through the proxy, so it can't be
+// abused as an open proxy. Extra hosts can be added with ALLOWED_HOSTS=a,b
+const ALLOWED_HOSTS = [
+  'www.hs.fi',
+  'yle.fi',
+  'www.is.fi',
+  'www.iltalehti.fi',
+  'svenska.yle.fi',
+  'www.hbl.fi',
+  ...(process.env.ALLOWED_HOSTS ? process.env.ALLOWED_HOSTS.split(',') : []),
+];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+};
+
+// The only files and folders served from the game folder (not .git/, tools/ etc.)
+const STATIC_FILES = ['index.html', 'scripts2.js', 'styles2.css', 'headlines.json'];
+const STATIC_FOLDERS = ['fixtures', 'packs'];
+
+const feedCache = new Map(); // Feed URL -> { body, contentType, fetchedAt }
+
+
+/**
+ * Sends a response with the CORS headers the browser needs.
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    ...headers,
+  });
+  res.end(body);
+}
+
+/**
+ * Fetches a feed from the news site with a timeout.
+ */
+async function fetchUpstream(feedUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(feedUrl, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return {
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || 'application/xml',
+      fetchedAt: Date.now(),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Handles /proxy?url=... requests.
+ * Fresh cache entries are served directly. If the news site fails, an
+ * older cached copy is served instead of an error.
+ */
+async function handleProxy(req, res, requestUrl) {
+  const feedUrl = requestUrl.searchParams.get('url');
+
+  let target;
+  try {
+    target = new URL(feedUrl);
+  } catch (error) {
+    send(res, 400, 'Missing or invalid ?url= parameter');
+    return;
+  }
+
+  if (!ALLOWED_HOSTS.includes(target.hostname)) {
+    send(res, 403, `Host not allowed: ${target.hostname}`);
+    return;
+  }
+
+  const cached = feedCache.get(target.href);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    send(res, 200, cached.body, { 'Content-Type': cached.contentType, 'X-Feed-Cache': 'hit' });
+    return;
+  }
+
+  try {
+    const fresh = await fetchUpstream(target.href);
+    feedCache.set(target.href, fresh);
+    send(res, 200, fresh.body, { 'Content-Type': fresh.contentType, 'X-Feed-Cache': 'miss' });
+  } catch (error) {
+    console.error(`Error fetching ${target.href}:`, error.message);
+
+    if (cached) {
+      send(res, 200, cached.body, { 'Content-Type': cached.contentType, 'X-Feed-Cache': 'stale' });
+    } else {
+      send(res, 502, `Could not fetch feed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Is this path (relative to the game folder) one of the game's own files?
+ * Hidden files and folders are never served, even inside STATIC_FOLDERS.
+ */
+function isGameFile(relativePath) {
+  const parts = relativePath.split(path.sep);
+  if (parts.some(part => part === '' || part.startsWith('.'))) return false;
+  if (parts.length === 1) return STATIC_FILES.includes(parts[0]);
+  return STATIC_FOLDERS.includes(parts[0]);
+}
+
+/**
+ * Serves the game's own files (index.html, scripts, styles, fixtures, packs).
+ */
+function handleStatic(req, res, requestUrl) {
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(requestUrl.pathname === '/' ? '/index.html' : requestUrl.pathname);
+  } catch (error) {
+    send(res, 400, 'Malformed path');
+    return;
+  }
+  const filePath = path.join(GAME_ROOT, relativePath);
+
+  // Don't let "../" escape the game folder, or serve anything but the game
+  if (!filePath.startsWith(GAME_ROOT + path.sep) || !isGameFile(path.relative(GAME_ROOT, filePath))) {
+    send(res, 403, 'Forbidden');
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      send(res, 404, 'Not found');
+      return;
+    }
+    const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+    send(res, 200, data, { 'Content-Type': contentType });
+  });
+}
+
+const server = http.createServer((req, res) => {
+  let requestUrl;
+  try {
+    requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  } catch (error) {
+    send(res, 400, 'Bad request');
+    return;
+  }
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '');
+  } else if (req.method !== 'GET') {
+    send(res, 405, 'Method not allowed');
+  } else if (requestUrl.pathname === '/proxy') {
+    handleProxy(req, res, requestUrl);
+  } else {
+    handleStatic(req, res, requestUrl);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Uutispeli running at http://localhost:${PORT}/?proxy=local`);
+});